@@ -1,6 +1,9 @@
-const jwt = require("jsonwebtoken");
+const { verifyToken } = require("../utils/tokens");
+const { sessionActive } = require("../utils/sessions");
 
-module.exports = function(req, res, next) {
+// Authentication only; routes declare what the caller
+// may do with middleware/permit.js
+module.exports = async function(req, res, next) {
 
   const header = req.headers.authorization;
 
@@ -10,22 +13,23 @@ module.exports = function(req, res, next) {
 
   const token = header.split(" ")[1];
 
-  try {
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || "knowledgehubsecret"
-    );
-
-    // Attach full user info
-    req.user = {
-      id: decoded.id,
-      role: decoded.role,
-      department: decoded.department
-    };
+  let user;
 
-    next();
+  try {
+    user = verifyToken(token);
+  } catch (err) {
+    return res.status(401).json({ message: "Invalid token" });
+  }
 
+  try {
+    // Logged out, revoked or deactivated sessions stop working at once
+    if (!await sessionActive(user.sid)) {
+      return res.status(401).json({ message: "Session expired" });
+    }
   } catch (err) {
-    res.status(401).json({ message: "Invalid token" });
+    return res.status(500).json({ error: err.message });
   }
+
+  req.user = user;
+  next();
 };
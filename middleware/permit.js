@@ -0,0 +1,18 @@
+const auth = require("./auth");
+const { can } = require("../utils/permissions");
+
+// permit("articles:write") - authenticates the caller and
+// requires the named permission (see utils/permissions.js)
+module.exports = function permit(permission){
+
+  return function(req, res, next){
+    auth(req, res, () => {
+
+      if (!can(req.user, permission)) {
+        return res.status(403).json({ error: "Not allowed", permission });
+      }
+
+      next();
+    });
+  };
+};
@@ -0,0 +1,29 @@
+const { hit } = require("../utils/rateLimit");
+
+// rateLimit({ name, limit, windowMs, by }) - at most limit requests
+// per window for each key; by(req) returns the key (client IP by
+// default) or nothing to skip the check
+module.exports = function rateLimit({ name, limit, windowMs, by = req => req.ip }){
+
+  return async function(req, res, next){
+
+    try {
+
+      const id = by(req);
+      if (!id) return next();
+
+      const counter = await hit(`${name}:${String(id).toLowerCase()}`, windowMs);
+
+      if (counter.count > limit) {
+        const retryAfter = Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 1000));
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({ error: "Too many attempts, try again later", retryAfter });
+      }
+
+      next();
+
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+};
@@ -0,0 +1,33 @@
+const rateLimit = require("./rateLimit");
+
+const MINUTE = 60 * 1000;
+
+function emailOf(req){
+  return typeof req.body.email === "string" ? req.body.email.trim() : null;
+}
+
+// An object such as { "$eq": "..." } still finds the account but would
+// skip the per-account limit, so anything but a string is refused
+function stringEmail(req, res, next){
+  const { email } = req.body || {};
+  if (email !== undefined && typeof email !== "string") {
+    return res.status(400).json({ error: "Email must be a string" });
+  }
+  next();
+}
+
+// Login routes: per client IP and per account email
+const loginLimits = [
+  stringEmail,
+  rateLimit({ name: "login:ip", limit: 20, windowMs: 15 * MINUTE }),
+  rateLimit({ name: "login:account", limit: 10, windowMs: 15 * MINUTE, by: emailOf })
+];
+
+// Routes that send email (register, forgot password)
+const mailLimits = [
+  stringEmail,
+  rateLimit({ name: "mail:ip", limit: 10, windowMs: 60 * MINUTE }),
+  rateLimit({ name: "mail:account", limit: 3, windowMs: 60 * MINUTE, by: emailOf })
+];
+
+module.exports = { loginLimits, mailLimits };
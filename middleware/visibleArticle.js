@@ -0,0 +1,22 @@
+const Article = require("../models/Article");
+const { canViewArticle } = require("../utils/access");
+
+// Loads :kb into req.article, 404 when it does not exist
+// or is outside the caller's departments. Use after auth.
+module.exports = async function(req, res, next){
+
+  try {
+
+    const article = await Article.findOne({ articleNumber: req.params.kb }).lean();
+
+    if (!article || !canViewArticle(req.user, article)) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    req.article = article;
+    next();
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
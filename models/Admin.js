@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const Session = require("./Session");
 
 const AdminSchema = new mongoose.Schema({
 
@@ -28,6 +29,49 @@ const AdminSchema = new mongoose.Schema({
     default: null   // Only admins get department
   },
 
+  // Deactivated accounts can't sign in or refresh
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Lockout after repeated wrong passwords (utils/lockout.js)
+  failedLogins: {
+    type: Number,
+    default: 0
+  },
+
+  lockedUntil: Date,
+
+  // TOTP second factor (utils/twoFactor.js); secrets stay
+  // out of normal queries
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set during enrollment until the first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // sha256 of each unused recovery code
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so it can't be replayed
+    lastStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -35,4 +79,15 @@ const AdminSchema = new mongoose.Schema({
 
 });
 
+// Changing the password or deactivating ends every session
+AdminSchema.pre("save", async function(){
+  if(this.isNew) return;
+
+  if(this.isModified("password")){
+    await Session.revokeAll(this._id, "password_changed");
+  } else if(this.isModified("active") && this.active === false){
+    await Session.revokeAll(this._id, "deactivated");
+  }
+});
+
 module.exports = mongoose.model("Admin", AdminSchema);
@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+const { STATUSES } = require("../utils/workflow");
+const { extractLinks } = require("../utils/links");
+const { sanitizeHtml, htmlToText } = require("../utils/html");
+const { linkAttachments } = require("../utils/attachments");
+const { fingerprint } = require("../utils/fingerprint");
+
+const articleSchema = new mongoose.Schema({
+  articleNumber: { type: String, unique: true },
+  title: String,
+  summary: String,
+  content: String,
+
+  // Sanitized rich body (lists, tables, images); content keeps
+  // the plain text used for search and summaries
+  contentHtml: String,
+  // Category the article is filed under (models/Category.js);
+  // category keeps its name for display, search and facets
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "Category", index: true },
+  category: { type: String, default: "General" },
+  tags: [String],
+  status: { type: String, enum: STATUSES, default: "draft" },
+
+  // Owning departments (by name); orgWide articles are visible to everyone
+  departments: { type: [String], default: [] },
+  orgWide: { type: Boolean, default: false },
+
+  // Review workflow
+  submittedBy: mongoose.Schema.Types.ObjectId,
+  submittedAt: Date,
+  reviewedBy: mongoose.Schema.Types.ObjectId,
+  reviewedAt: Date,
+  reviewComment: String,
+  publishedAt: Date,
+
+  // Schedule: published articles are only live between publishAt
+  // and expireAt (either may be empty), see utils/schedule.js
+  publishAt: { type: Date, default: null },
+  expireAt: { type: Date, default: null },
+
+  // Authorship: account ids (Admin or User). The owner defaults to
+  // the creator, can edit the article and gets review reminders
+  createdBy: mongoose.Schema.Types.ObjectId,
+  updatedBy: mongoose.Schema.Types.ObjectId,
+  owner: mongoose.Schema.Types.ObjectId,
+
+  // Periodic review: the owner is reminded by email once reviewBy
+  // passes; reviewInterval (days) sets the next date when reviewed
+  reviewBy: Date,
+  reviewInterval: Number,
+  lastReviewedAt: Date,
+  reviewReminderAt: Date,
+
+  // KB numbers referenced from summary/content, kept in sync on save
+  links: { type: [String], default: [] },
+
+  // Duplicate detection, see utils/fingerprint.js
+  contentHash: String,
+  simhash: String,
+  simhashBands: { type: [String], default: undefined },
+
+  // Import job that created the article, so a rollback finds it
+  // even when the job's own list missed it
+  importJob: mongoose.Schema.Types.ObjectId,
+
+  // Trash: set when deleted, cleared on restore
+  deletedAt: { type: Date, default: null },
+  deletedBy: mongoose.Schema.Types.ObjectId
+},{ timestamps:true });
+
+articleSchema.index({
+  title:"text",
+  summary:"text",
+  content:"text",
+  tags:"text"
+});
+
+articleSchema.index({ departments:1, status:1 });
+articleSchema.index({ links:1 });
+articleSchema.index({ deletedAt:1 });
+articleSchema.index({ contentHash:1 });
+articleSchema.index({ simhashBands:1 });
+articleSchema.index({ reviewBy:1 });
+articleSchema.index({ owner:1 });
+articleSchema.index({ importJob:1 });
+articleSchema.index({ status:1, expireAt:1 });
+
+articleSchema.pre("save", async function(){
+
+  if(this.isModified("contentHtml")){
+    this.contentHtml = sanitizeHtml(this.contentHtml);
+
+    if(!this.isModified("content")){
+      this.content = htmlToText(this.contentHtml);
+    }
+
+    await linkAttachments(this.articleNumber, this.contentHtml);
+  }
+
+  if(this.isNew || this.isModified("content") || this.isModified("summary")){
+    this.links = extractLinks([this.summary, this.content], this.articleNumber);
+  }
+
+  if(this.isNew || this.isModified("content")){
+    const fp = String(this.content || "").trim() ? fingerprint(this.content) : {};
+    this.contentHash = fp.contentHash;
+    this.simhash = fp.simhash;
+    this.simhashBands = fp.simhashBands;
+  }
+});
+
+module.exports = mongoose.model("Article", articleSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const ArticleCommentSchema = new mongoose.Schema({
+
+  articleNumber: {
+    type: String,
+    required: true
+  },
+
+  // Reply to another comment; null for a new thread
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ArticleComment",
+    default: null
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  authorName: String,
+  role: String,
+
+  body: {
+    type: String,
+    required: true
+  },
+
+  // Set on the thread's top comment by an admin
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+
+  resolvedBy: mongoose.Schema.Types.ObjectId,
+  resolvedAt: Date
+
+}, { timestamps: true });
+
+ArticleCommentSchema.index({ articleNumber: 1, createdAt: 1 });
+
+module.exports = mongoose.model("ArticleComment", ArticleCommentSchema);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const ArticleRevisionSchema = new mongoose.Schema({
+
+  articleNumber: {
+    type: String,
+    required: true
+  },
+
+  revision: {
+    type: Number,
+    required: true
+  },
+
+  action: {
+    type: String,
+    default: "update" // create, update, restore or baseline
+  },
+
+  // Revision number this one was restored from (restore only)
+  restoredFrom: Number,
+
+  // Full copy of the article fields at this point in time
+  snapshot: {
+    title: String,
+    summary: String,
+    content: String,
+    contentHtml: String,
+    category: String,
+    categoryId: mongoose.Schema.Types.ObjectId,
+    tags: [String],
+    status: String
+  },
+
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  editedByRole: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+
+});
+
+ArticleRevisionSchema.index({ articleNumber: 1, revision: 1 }, { unique: true });
+
+// Revisions are append-only history
+ArticleRevisionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  function(next) {
+    next(new Error("Article revisions are immutable"));
+  }
+);
+
+ArticleRevisionSchema.pre("save", function(next) {
+  if (!this.isNew) return next(new Error("Article revisions are immutable"));
+  next();
+});
+
+module.exports = mongoose.model("ArticleRevision", ArticleRevisionSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+const ArticleVoteSchema = new mongoose.Schema({
+
+  articleNumber: {
+    type: String,
+    required: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  helpful: {
+    type: Boolean,
+    required: true
+  }
+
+}, { timestamps: true });
+
+// One vote per user per article
+ArticleVoteSchema.index({ articleNumber: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model("ArticleVote", ArticleVoteSchema);
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+const AttachmentSchema = new mongoose.Schema({
+
+  // Random public key used in image URLs (<img> can't send a token)
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  contentType: String,
+  size: Number,
+  data: Buffer,
+
+  articleNumber: String,
+
+  createdBy: mongoose.Schema.Types.ObjectId,
+
+  // Images from imports that were never committed expire after a day;
+  // cleared once the attachment belongs to an article
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000)
+  }
+
+}, { timestamps: true });
+
+AttachmentSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+AttachmentSchema.index({ articleNumber: 1 });
+
+module.exports = mongoose.model("Attachment", AttachmentSchema);
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// Who changed what; written by utils/audit.js and never edited
+const AuditLogSchema = new mongoose.Schema({
+
+  // Admin or user id; the account itself for logins
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  actorRole: String,
+
+  // e.g. "article.update", "user.approve", "admin.create"
+  action: {
+    type: String,
+    required: true
+  },
+
+  target: {
+    type: { type: String },   // article, user, admin, department, setting
+    id: String,               // KB number, account id, department name...
+    label: String
+  },
+
+  // Departments the change touches, for department admins' view
+  departments: {
+    type: [String],
+    default: []
+  },
+
+  // Changed fields only, never passwords or secrets
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+
+  ip: String
+
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ departments: 1, createdAt: -1 });
+AuditLogSchema.index({ "target.type": 1, "target.id": 1, createdAt: -1 });
+
+// Append-only: entries can be added, not changed or removed
+function refuse(){
+  throw new Error("Audit log entries can't be changed");
+}
+
+AuditLogSchema.pre([
+  "updateOne", "updateMany", "findOneAndUpdate", "replaceOne",
+  "deleteOne", "deleteMany", "findOneAndDelete", "findOneAndReplace"
+], refuse);
+
+AuditLogSchema.pre("save", function(){
+  if(!this.isNew) refuse();
+});
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
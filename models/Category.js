@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+const CategorySchema = new mongoose.Schema({
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // URL form of the name, unique among siblings
+  slug: {
+    type: String,
+    required: true
+  },
+
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+    default: null
+  },
+
+  // Slugs from the root down, e.g. "hr/onboarding"
+  path: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Owning department; none means org-wide
+  department: String,
+
+  description: String,
+
+  createdBy: mongoose.Schema.Types.ObjectId
+
+}, { timestamps: true });
+
+CategorySchema.index({ parent: 1, name: 1 });
+
+module.exports = mongoose.model("Category", CategorySchema);
@@ -0,0 +1,120 @@
+const mongoose = require("mongoose");
+
+const JOB_STATUSES = ["queued", "running", "completed", "failed", "cancelled", "rolled_back"];
+
+const ImportJobSchema = new mongoose.Schema({
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  // Caller as seen by auth, used when the worker creates articles
+  user: {
+    id: mongoose.Schema.Types.ObjectId,
+    role: String,
+    department: String
+  },
+
+  // Client address of the upload, for the audit log
+  ip: String,
+
+  // upload (file in GridFS), text (pasted text in GridFS)
+  // or preview (edited plan from a stored preview)
+  source: {
+    type: String,
+    enum: ["upload", "text", "preview"],
+    required: true
+  },
+
+  filename: String,
+  fileId: mongoose.Schema.Types.ObjectId,
+  previewId: mongoose.Schema.Types.ObjectId,
+
+  // Already split sections (preview commits)
+  sections: [{
+    title: String,
+    content: String,
+    html: String
+  }],
+
+  mode: String,
+  onDuplicate: String,
+
+  rules: {
+    splitBy: String,
+    headingLevel: Number,
+    pattern: String
+  },
+
+  defaults: {
+    profile: String,
+    category: String,
+    tags: [String],
+    status: String,
+    department: String
+  },
+
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: "queued"
+  },
+
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  // Worker running the job and its last sign of life; jobs whose
+  // heartbeat stops are failed by any instance (utils/importJobs.js)
+  workerId: String,
+  heartbeatAt: Date,
+
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 }
+  },
+
+  created: { type: [String], default: [] },
+  updated: { type: [String], default: [] },
+
+  duplicates: [{
+    _id: false,
+    file: String,
+    title: String,
+    action: String,
+    articleNumber: String,
+    matches: [mongoose.Schema.Types.Mixed]
+  }],
+
+  // Sections that failed; the rest of the import carries on
+  failures: [{
+    _id: false,
+    file: String,
+    section: Number,
+    title: String,
+    error: String
+  }],
+
+  // Per file report for .zip uploads
+  files: [{
+    _id: false,
+    file: String,
+    type: { type: String },
+    ok: Boolean,
+    skipped: Boolean,
+    sections: Number,
+    error: String
+  }],
+
+  error: String,
+  startedAt: Date,
+  finishedAt: Date
+
+}, { timestamps: true });
+
+ImportJobSchema.index({ status: 1, createdAt: 1 });
+ImportJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ImportJob", ImportJobSchema);
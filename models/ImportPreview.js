@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Parsed import waiting to be reviewed and committed
+const ImportPreviewSchema = new mongoose.Schema({
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  source: {
+    type: String,
+    default: "upload" // upload or text
+  },
+
+  filename: String,
+
+  // Import profile used for splitting, if any
+  profile: String,
+
+  // Defaults applied when the plan is committed
+  tags: {
+    type: [String],
+    default: []
+  },
+
+  category: String,
+  status: String,
+  department: String,
+
+  sections: [{
+    title: String,
+    content: String,
+    html: String
+  }],
+
+  committed: {
+    type: Boolean,
+    default: false
+  },
+
+  // Uncommitted previews are dropped by MongoDB after a day
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000)
+  }
+
+}, { timestamps: true });
+
+ImportPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("ImportPreview", ImportPreviewSchema);
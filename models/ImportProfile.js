@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+const ImportProfileSchema = new mongoose.Schema({
+
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // heading, marker, numbered or none (see utils/importers.js)
+  splitBy: {
+    type: String,
+    enum: ["heading", "marker", "numbered", "none"],
+    default: "heading"
+  },
+
+  headingLevel: {
+    type: Number,
+    min: 1,
+    max: 6,
+    default: 1
+  },
+
+  // Plain-text marker for splitBy "marker", e.g. "Procedure:" or "Step \d+:"
+  pattern: String,
+
+  // Defaults applied to every imported article
+  category: {
+    type: String,
+    default: "General"
+  },
+
+  tags: {
+    type: [String],
+    default: []
+  },
+
+  status: {
+    type: String,
+    enum: ["draft", "in_review"],
+    default: "draft"
+  },
+
+  department: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin"
+  }
+
+}, { timestamps: true });
+
+module.exports = mongoose.model("ImportProfile", ImportProfileSchema);
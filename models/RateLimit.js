@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Fixed window counters shared by every app instance
+const RateLimitSchema = new mongoose.Schema({
+
+  // e.g. "login:ip:1.2.3.4" or "login:account:someone@example.com"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  // End of the current window; MongoDB removes the counter after it
+  resetAt: {
+    type: Date,
+    required: true
+  }
+
+});
+
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimit", RateLimitSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+const SearchLogSchema = new mongoose.Schema({
+
+  // Normalized query text (lowercase, single spaces)
+  query: {
+    type: String,
+    required: true
+  },
+
+  userId: mongoose.Schema.Types.ObjectId,
+  role: String,
+  department: String,
+
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Article opened from this result list, if any
+  clickedArticle: String,
+  clickedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+
+});
+
+SearchLogSchema.index({ createdAt: -1 });
+SearchLogSchema.index({ department: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SearchLog", SearchLogSchema);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// One login on one device; the refresh token rotates on every use
+const SessionSchema = new mongoose.Schema({
+
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+
+  accountType: {
+    type: String,
+    enum: ["Admin", "User"],
+    required: true
+  },
+
+  // sha256 of the current refresh token secret
+  tokenHash: String,
+
+  userAgent: String,
+  ip: String,
+  lastUsedAt: Date,
+
+  // Removed by MongoDB once past
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // logout, logout_all, password_changed, deactivated,
+  // token_reuse or revoked_by_admin
+  revokedReason: String
+
+}, { timestamps: true });
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.statics.revokeAll = function(account, reason){
+  return this.updateMany(
+    { account, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// System wide switches changed by the superadmin (utils/settings.js)
+const SettingSchema = new mongoose.Schema({
+
+  // e.g. "twoFactorRequired"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  value: mongoose.Schema.Types.Mixed,
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+
+}, { timestamps: true });
+
+module.exports = mongoose.model("Setting", SettingSchema);
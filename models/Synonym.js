@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+const SynonymSchema = new mongoose.Schema({
+
+  // Lowercase word or acronym, e.g. "pto"
+  term: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+
+  // Words searched alongside the term, e.g. ["leave", "vacation"]
+  synonyms: {
+    type: [String],
+    default: []
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin"
+  }
+
+}, { timestamps: true });
+
+module.exports = mongoose.model("Synonym", SynonymSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const Session = require("./Session");
 
 const UserSchema = new mongoose.Schema({
 
@@ -42,6 +43,20 @@ const UserSchema = new mongoose.Schema({
     default: false
   },
 
+  // Deactivated accounts can't sign in or refresh
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Lockout after repeated wrong passwords (utils/lockout.js)
+  failedLogins: {
+    type: Number,
+    default: 0
+  },
+
+  lockedUntil: Date,
+
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -49,4 +64,15 @@ const UserSchema = new mongoose.Schema({
 
 });
 
+// Changing the password or deactivating ends every session
+UserSchema.pre("save", async function(){
+  if(this.isNew) return;
+
+  if(this.isModified("password")){
+    await Session.revokeAll(this._id, "password_changed");
+  } else if(this.isModified("active") && this.active === false){
+    await Session.revokeAll(this._id, "deactivated");
+  }
+});
+
 module.exports = mongoose.model("User", UserSchema);
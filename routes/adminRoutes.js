@@ -1,11 +1,15 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 
 const Admin = require("../models/Admin");
 const User = require("../models/User");
 
-const auth = require("../middleware/auth");
+const permit = require("../middleware/permit");
+const { isActive, startSession } = require("../utils/sessions");
+const { isLocked, recordFailure, recordSuccess } = require("../utils/lockout");
+const { loginChallenge, completeChallenge } = require("../utils/twoFactor");
+const { summarize, changes, audit } = require("../utils/audit");
+const { loginLimits } = require("../middleware/throttles");
 
 const router = express.Router();
 
@@ -13,7 +17,7 @@ const router = express.Router();
    ADMIN LOGIN
 ================================ */
 
-router.post("/login", async (req, res) => {
+router.post("/login", loginLimits, async (req, res) => {
 
   try {
 
@@ -29,53 +33,99 @@ router.post("/login", async (req, res) => {
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
+    if (isLocked(admin)) {
+      return res.status(423).json({ error: "Account locked, try again later", lockedUntil: admin.lockedUntil });
+    }
+
     const match = await bcrypt.compare(password, admin.password);
 
     if (!match) {
+      await recordFailure(admin);
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
+    if (!isActive(admin)) {
+      return res.status(403).json({ error: "Account is deactivated" });
+    }
+
+    // With 2FA the lockout counter resets only after the second step
+    const challenge = await loginChallenge(admin);
+
+    if (challenge) {
+      return res.json({ ok: true, ...challenge });
+    }
+
+    await recordSuccess(admin);
+
     // ✅ JWT includes department + role
-    const token = jwt.sign(
-      {
-        id: admin._id,
-        role: admin.role,
-        department: admin.department
-      },
-      process.env.JWT_SECRET || "knowledgehubsecret",
-      { expiresIn: "8h" }
-    );
-
-    res.json({
-      ok: true,
-      token,
-      admin: {
-        id: admin._id,
-        name: admin.name,
-        email: admin.email,
-        role: admin.role,
-        department: admin.department
-      }
-    });
+    const session = await startSession(admin, "Admin", req);
+
+    await audit(req, "auth.login", { actor: admin, target: adminTarget(admin) });
+
+    res.json({ ok: true, ...session, admin: adminInfo(admin) });
 
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+function adminTarget(admin){
+  return { type: "admin", id: admin._id, label: admin.email };
+}
+
+function adminInfo(admin){
+  return {
+    id: admin._id,
+    name: admin.name,
+    email: admin.email,
+    role: admin.role,
+    department: admin.department
+  };
+}
 
 /* ===============================
-   GET PENDING USERS (ALL ADMINS SEE SAME LIST)
+   ADMIN LOGIN, SECOND STEP
+   { challengeToken, code | recoveryCode }
+   also finishes enrollment when 2FA
+   is required but wasn't set up
 ================================ */
 
-router.get("/users", auth, async (req, res) => {
+router.post("/login/2fa", loginLimits, async (req, res) => {
 
   try {
 
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ error: "Admins only" });
+    const result = await completeChallenge(req.body, ["admin", "superadmin"]);
+
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
     }
 
+    const { admin, ...extra } = result;
+    const session = await startSession(admin, "Admin", req);
+
+    await audit(req, extra.recoveryCodes ? "auth.2fa_enroll" : "auth.login", {
+      actor: admin,
+      target: adminTarget(admin),
+      after: { secondFactor: req.body.recoveryCode ? "recovery_code" : "totp" }
+    });
+
+    res.json({ ok: true, ...session, ...extra, admin: adminInfo(admin) });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+/* ===============================
+   GET PENDING USERS (ALL ADMINS SEE SAME LIST)
+================================ */
+
+router.get("/users", permit("users:approve"), async (req, res) => {
+
+  try {
+
     // ✅ Only users waiting for approval
     const users = await User.find({
       approved: false
@@ -96,26 +146,31 @@ router.get("/users", auth, async (req, res) => {
    APPROVE USER (AUTO ASSIGN DEPARTMENT)
 ================================ */
 
-router.put("/users/:id/approve", auth, async (req, res) => {
+router.put("/users/:id/approve", permit("users:approve"), async (req, res) => {
 
   try {
 
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ error: "Admins only" });
-    }
-
     const user = await User.findById(req.params.id);
 
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
+    const before = summarize("user", user);
+
     // ✅ Assign admin's department automatically
-    user.department = req.user.department;
+    // (the superadmin has none and keeps the user's)
+    if (req.user.department) user.department = req.user.department;
     user.approved = true;
 
     await user.save();
 
+    await audit(req, "user.approve", {
+      target: { type: "user", id: user._id, label: user.email },
+      departments: [before.department, user.department],
+      ...changes(before, summarize("user", user))
+    });
+
     res.json({ ok: true, user });
 
   } catch (err) {
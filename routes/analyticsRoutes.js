@@ -0,0 +1,141 @@
+const express = require("express");
+
+const SearchLog = require("../models/SearchLog");
+
+const permit = require("../middleware/permit");
+const { dateParam } = require("../utils/search");
+
+const router = express.Router();
+
+router.use(permit("analytics:read"));
+
+// Date range + department filter shared by every report.
+// Admins only ever see their own department's searches, and
+// none without a department.
+function reportMatch(req){
+
+  const match = {};
+
+  if (req.user.role === "admin") {
+    if (!req.user.department) return { _id: null };
+    match.department = req.user.department;
+  } else if (typeof req.query.department === "string" && req.query.department) {
+    match.department = req.query.department;
+  }
+
+  const from = dateParam(req.query.from);
+  const to = dateParam(req.query.to);
+
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  return match;
+}
+
+function reportLimit(req){
+  return Math.min(200, Math.max(1, parseInt(req.query.limit) || 20));
+}
+
+/* ===============================
+   TOP QUERIES
+================================ */
+
+router.get("/top-queries", async (req, res) => {
+
+  try {
+
+    const items = await SearchLog.aggregate([
+      { $match: reportMatch(req) },
+      { $group: {
+        _id: "$query",
+        searches: { $sum: 1 },
+        avgResults: { $avg: "$resultCount" },
+        lastSearched: { $max: "$createdAt" }
+      } },
+      { $sort: { searches: -1, _id: 1 } },
+      { $limit: reportLimit(req) },
+      { $project: { _id: 0, query: "$_id", searches: 1, avgResults: 1, lastSearched: 1 } }
+    ]);
+
+    res.json({ items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   ZERO RESULT QUERIES
+================================ */
+
+router.get("/zero-results", async (req, res) => {
+
+  try {
+
+    const items = await SearchLog.aggregate([
+      { $match: { ...reportMatch(req), resultCount: 0 } },
+      { $group: {
+        _id: "$query",
+        searches: { $sum: 1 },
+        users: { $addToSet: "$userId" },
+        lastSearched: { $max: "$createdAt" }
+      } },
+      { $sort: { searches: -1, _id: 1 } },
+      { $limit: reportLimit(req) },
+      { $project: {
+        _id: 0,
+        query: "$_id",
+        searches: 1,
+        users: { $size: "$users" },
+        lastSearched: 1
+      } }
+    ]);
+
+    res.json({ items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   CLICK THROUGH RATE PER QUERY
+================================ */
+
+router.get("/click-through", async (req, res) => {
+
+  try {
+
+    const items = await SearchLog.aggregate([
+      { $match: reportMatch(req) },
+      { $group: {
+        _id: "$query",
+        searches: { $sum: 1 },
+        clicks: { $sum: { $cond: [{ $ifNull: ["$clickedArticle", false] }, 1, 0] } },
+        articles: { $addToSet: "$clickedArticle" }
+      } },
+      { $sort: { searches: -1, _id: 1 } },
+      { $limit: reportLimit(req) },
+      { $project: {
+        _id: 0,
+        query: "$_id",
+        searches: 1,
+        clicks: 1,
+        ctr: { $round: [{ $divide: ["$clicks", "$searches"] }, 3] },
+        clickedArticles: {
+          $filter: { input: "$articles", cond: { $ne: ["$$this", null] } }
+        }
+      } }
+    ]);
+
+    res.json({ items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require("express");
+
+const Attachment = require("../models/Attachment");
+const { IMAGE_TYPES } = require("../utils/attachments");
+
+const router = express.Router();
+
+/* ===============================
+   SERVE ARTICLE IMAGE
+   No auth: browsers load <img> without the
+   token, the random key is the access check
+================================ */
+
+router.get("/:key", async (req, res) => {
+
+  try {
+
+    const item = await Attachment.findOne({ key: req.params.key }).lean();
+
+    if (!item) {
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    // Anything stored before types were checked is never rendered
+    const type = IMAGE_TYPES.includes(item.contentType) ? item.contentType : "application/octet-stream";
+
+    res.set("Content-Type", type);
+    res.set("Content-Disposition", "inline");
+    res.set("Content-Security-Policy", "default-src 'none'");
+    res.set("Cache-Control", "private, max-age=86400");
+    res.set("X-Content-Type-Options", "nosniff");
+    res.send(item.data.buffer ? Buffer.from(item.data.buffer) : item.data);
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
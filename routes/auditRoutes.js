@@ -0,0 +1,173 @@
+const express = require("express");
+const mongoose = require("mongoose");
+
+const AuditLog = require("../models/AuditLog");
+const Admin = require("../models/Admin");
+const User = require("../models/User");
+
+const permit = require("../middleware/permit");
+const { dateParam, escapeRegex } = require("../utils/search");
+
+const router = express.Router();
+
+router.use(permit("audit:read"));
+
+const MAX_EXPORT = 10000;
+
+/* ===============================
+   FILTERS
+   ?actor= &role= &action= (exact, or a prefix
+   ending in "." e.g. "article.") &targetType=
+   &targetId= &department= &from= &to=
+   Admins only ever see their own department
+================================ */
+
+function auditMatch(req){
+
+  const q = req.query;
+  const match = {};
+
+  if (req.user.role === "admin") {
+    if (!req.user.department) return { _id: null };
+    match.departments = req.user.department;
+  } else if (typeof q.department === "string" && q.department) {
+    match.departments = q.department;
+  }
+
+  if (q.actor) {
+    if (!mongoose.isValidObjectId(q.actor)) return { _id: null };
+    match.actor = q.actor;
+  }
+
+  if (typeof q.role === "string" && q.role) match.actorRole = q.role;
+
+  if (typeof q.action === "string" && q.action) {
+    match.action = q.action.endsWith(".")
+      ? { $regex: "^" + escapeRegex(q.action) }
+      : q.action;
+  }
+
+  if (typeof q.targetType === "string" && q.targetType) match["target.type"] = q.targetType;
+  if (typeof q.targetId === "string" && q.targetId) match["target.id"] = q.targetId;
+
+  const from = dateParam(q.from);
+  const to = dateParam(q.to);
+
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  return match;
+}
+
+// Adds actorName / actorEmail; actors live in two collections
+async function withActors(items){
+
+  const ids = [...new Set(items.map(i => i.actor && String(i.actor)).filter(Boolean))];
+
+  const [admins, users] = await Promise.all([
+    Admin.find({ _id: { $in: ids } }).select("name email").lean(),
+    User.find({ _id: { $in: ids } }).select("name email").lean()
+  ]);
+
+  const byId = new Map([...admins, ...users].map(a => [String(a._id), a]));
+
+  return items.map(i => {
+    const a = byId.get(String(i.actor));
+    return { ...i, actorName: a ? a.name : null, actorEmail: a ? a.email : null };
+  });
+}
+
+/* ===============================
+   QUERY THE LOG
+   newest first, &page= &limit=
+================================ */
+
+router.get("/", async (req, res) => {
+
+  try {
+
+    const match = auditMatch(req);
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const [items, total] = await Promise.all([
+      AuditLog.find(match)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(match)
+    ]);
+
+    res.json({
+      items: await withActors(items),
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   CSV EXPORT
+   same filters, up to MAX_EXPORT rows
+================================ */
+
+const CSV_COLUMNS = [
+  ["time", e => e.createdAt.toISOString()],
+  ["actor", e => e.actor],
+  ["actorName", e => e.actorName],
+  ["actorEmail", e => e.actorEmail],
+  ["role", e => e.actorRole],
+  ["action", e => e.action],
+  ["targetType", e => e.target && e.target.type],
+  ["targetId", e => e.target && e.target.id],
+  ["targetLabel", e => e.target && e.target.label],
+  ["departments", e => e.departments.join(";")],
+  ["before", e => e.before && JSON.stringify(e.before)],
+  ["after", e => e.after && JSON.stringify(e.after)],
+  ["ip", e => e.ip]
+];
+
+function csvCell(v){
+
+  let s = v == null ? "" : String(v);
+
+  // Keep spreadsheets from running cells as formulas
+  if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+router.get("/export.csv", async (req, res) => {
+
+  try {
+
+    const items = await AuditLog.find(auditMatch(req))
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT)
+      .lean();
+
+    const rows = (await withActors(items)).map(e =>
+      CSV_COLUMNS.map(([, get]) => csvCell(get(e))).join(",")
+    );
+
+    const csv = [CSV_COLUMNS.map(([name]) => name).join(","), ...rows].join("\r\n");
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(csv);
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,283 @@
+const express = require("express");
+
+const Article = require("../models/Article");
+
+const permit = require("../middleware/permit");
+const { recordRevision, recordBaseline } = require("../utils/revisions");
+const { canTransition, statusChanges } = require("../utils/workflow");
+const { canEditArticle, departmentFields } = require("../utils/access");
+const { cleanQuery, dateParam } = require("../utils/search");
+const { resolveCategory } = require("../utils/categories");
+const { summarize, auditArticle } = require("../utils/audit");
+
+const router = express.Router();
+
+// Upper bound on articles touched by one bulk call
+const MAX_ITEMS = 500;
+
+const ACTIONS = ["category", "addTags", "removeTags", "status", "department", "delete"];
+
+router.use(permit("articles:manage"));
+
+function stringList(v){
+  return [].concat(v || [])
+    .filter(t => typeof t === "string")
+    .map(t => t.trim())
+    .filter(Boolean);
+}
+
+/* ===============================
+   SELECT ARTICLES
+   articleNumbers: ["KB0001", ...] or
+   filter: { q, category, tag, status,
+             department, from, to }
+================================ */
+
+async function selectArticles(user, body){
+
+  if (body.articleNumbers !== undefined) {
+
+    if (!Array.isArray(body.articleNumbers) || !body.articleNumbers.length) {
+      return { error: "articleNumbers must be a non-empty array" };
+    }
+
+    const kbs = [...new Set(body.articleNumbers.filter(kb => typeof kb === "string"))];
+
+    if (kbs.length > MAX_ITEMS) {
+      return { error: `At most ${MAX_ITEMS} articles per call` };
+    }
+
+    const docs = await Article.find({ articleNumber: { $in: kbs }, deletedAt: null });
+    const byKb = new Map(docs.map(d => [d.articleNumber, d]));
+
+    return { kbs, byKb };
+  }
+
+  const f = body.filter;
+
+  if (!f || typeof f !== "object") {
+    return { error: "articleNumbers or filter required" };
+  }
+
+  const match = { deletedAt: null };
+
+  const q = cleanQuery(f.q);
+  if (q) match.$text = { $search: q };
+
+  if (typeof f.category === "string") match.category = f.category;
+  if (f.tag !== undefined) match.tags = { $all: stringList(f.tag) };
+  if (typeof f.status === "string") match.status = f.status;
+  if (typeof f.department === "string") match.departments = f.department;
+
+  const from = dateParam(f.from);
+  const to = dateParam(f.to);
+
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  if (Object.keys(match).length === 1) {
+    return { error: "Filter needs at least one condition" };
+  }
+
+  // Department admins only reach their own department's articles
+  if (user.role === "admin") {
+    match.$and = [{ departments: user.department }];
+  }
+
+  const docs = await Article.find(match)
+    .sort({ articleNumber: 1 })
+    .limit(MAX_ITEMS + 1);
+
+  if (docs.length > MAX_ITEMS) {
+    return { error: `Filter matches more than ${MAX_ITEMS} articles, narrow it down` };
+  }
+
+  return {
+    kbs: docs.map(d => d.articleNumber),
+    byKb: new Map(docs.map(d => [d.articleNumber, d]))
+  };
+}
+
+/* ===============================
+   CHECK ACTION VALUE
+   returns an error message or null
+================================ */
+
+function checkAction(action, body){
+
+  if (!ACTIONS.includes(action)) {
+    return `action must be one of ${ACTIONS.join(", ")}`;
+  }
+
+  const { value } = body;
+
+  if (action === "category" && (typeof value !== "string" || !value.trim())) {
+    return "value must be a category id or path";
+  }
+
+  if ((action === "addTags" || action === "removeTags") && !stringList(value).length) {
+    return "value must be a list of tags";
+  }
+
+  if (action === "status" && typeof value !== "string") {
+    return "value must be a status";
+  }
+
+  if (action === "department" && value === undefined && body.orgWide === undefined) {
+    return "value must be a department or list of departments";
+  }
+
+  return null;
+}
+
+/* ===============================
+   APPLY TO ONE ARTICLE
+   throws with the reason it was skipped
+================================ */
+
+async function applyAction(article, action, body, user, ctx){
+
+  const { value } = body;
+
+  if (action === "delete") {
+
+    // Links from other articles in the same batch don't count
+    const linkedFrom = await Article.find({
+      links: article.articleNumber,
+      deletedAt: null,
+      articleNumber: { $nin: [...ctx.batch] }
+    })
+      .select("articleNumber")
+      .lean();
+
+    if (linkedFrom.length && body.force !== true && body.force !== "true") {
+      throw new Error(
+        `Referenced by ${linkedFrom.map(a => a.articleNumber).join(", ")}`
+      );
+    }
+
+    article.deletedAt = new Date();
+    article.deletedBy = user.id;
+    await article.save();
+    return;
+  }
+
+  await recordBaseline(article);
+
+  if (action === "category") {
+    article.set(ctx.category);
+  }
+
+  if (action === "addTags") {
+    article.tags = [...new Set([...(article.tags || []), ...stringList(value)])];
+  }
+
+  if (action === "removeTags") {
+    const drop = new Set(stringList(value));
+    article.tags = (article.tags || []).filter(t => !drop.has(t));
+  }
+
+  if (action === "status") {
+
+    if (!canTransition(article.status, value)) {
+      throw new Error(`Cannot move article from ${article.status} to ${value}`);
+    }
+
+    if (article.status === "in_review" && value === "draft" && !body.comment) {
+      throw new Error("Comment required to reject");
+    }
+
+    article.set(statusChanges(article.status, value, user, body.comment));
+    article.status = value;
+  }
+
+  if (action === "department") {
+
+    const scope = await departmentFields(
+      user,
+      value === undefined ? article.departments : stringList(value),
+      body.orgWide ?? article.orgWide
+    );
+
+    if (scope.error) throw new Error(scope.error);
+    article.set(scope);
+  }
+
+  article.updatedBy = user.id;
+  await article.save();
+  await recordRevision(article, user, "update");
+}
+
+/* ===============================
+   BULK UPDATE / DELETE
+   { articleNumbers | filter, action, value,
+     comment?, orgWide?, force? }
+   every article is tried, results per item
+================================ */
+
+router.post("/", async (req, res) => {
+
+  try {
+
+    const { action } = req.body;
+
+    const invalid = checkAction(action, req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const selection = await selectArticles(req.user, req.body);
+    if (selection.error) return res.status(400).json({ error: selection.error });
+
+    const { kbs, byKb } = selection;
+    const ctx = { batch: new Set(action === "delete" ? kbs : []) };
+
+    if (action === "category") {
+      ctx.category = await resolveCategory(req.body.value, req.user);
+      if (ctx.category.error) return res.status(400).json({ error: ctx.category.error });
+    }
+    const results = [];
+
+    for (const kb of kbs) {
+
+      const article = byKb.get(kb);
+
+      if (!article) {
+        results.push({ articleNumber: kb, ok: false, error: "Not found" });
+        continue;
+      }
+
+      if (!canEditArticle(req.user, article)) {
+        results.push({ articleNumber: kb, ok: false, error: "Not allowed" });
+        continue;
+      }
+
+      const before = summarize("article", article);
+
+      try {
+        await applyAction(article, action, req.body, req.user, ctx);
+        await auditArticle(req, `article.bulk_${action}`, before, article);
+        results.push({ articleNumber: kb, ok: true });
+      } catch (err) {
+        results.push({ articleNumber: kb, ok: false, error: err.message });
+      }
+    }
+
+    const succeeded = results.filter(r => r.ok).length;
+
+    res.json({
+      ok: true,
+      action,
+      matched: kbs.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
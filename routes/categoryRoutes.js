@@ -0,0 +1,298 @@
+const express = require("express");
+
+const Article = require("../models/Article");
+const Category = require("../models/Category");
+
+const permit = require("../middleware/permit");
+const { articleScope } = require("../utils/access");
+const { recordRevision, recordBaseline } = require("../utils/revisions");
+const {
+  slugify, canUseCategory, canManageCategory, findCategory,
+  resolveCategory, rebuildPaths, isDescendant, migrateCategories
+} = require("../utils/categories");
+
+const router = express.Router();
+
+function visibleFilter(user){
+  if (user.role === "superadmin") return {};
+  return { $or: [{ department: null }, { department: user.department }] };
+}
+
+/* ===============================
+   SET NAME / PARENT / DEPARTMENT
+   returns an error message or null
+================================ */
+
+async function applyFields(category, body, user){
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || !slugify(body.name)) {
+      return "Category name required";
+    }
+    category.name = body.name.trim();
+    category.slug = slugify(body.name);
+  }
+
+  if (body.description !== undefined) {
+    category.description = body.description;
+  }
+
+  if (body.department !== undefined) {
+    if (user.role !== "superadmin" && body.department !== user.department) {
+      return "Department must be your own";
+    }
+    category.department = body.department || undefined;
+  }
+
+  if (body.parent !== undefined) {
+
+    if (body.parent === null || body.parent === "") {
+      category.parent = null;
+    } else {
+      const parent = await findCategory(body.parent);
+
+      if (!parent) return "Parent category not found";
+      if (!canUseCategory(user, parent)) return "Parent belongs to another department";
+
+      if (!category.isNew && await isDescendant(parent._id, category._id)) {
+        return "A category can't be moved under itself";
+      }
+
+      category.parent = parent._id;
+    }
+  }
+
+  const parent = category.parent
+    ? await Category.findById(category.parent).select("path").lean()
+    : null;
+
+  category.path = parent ? `${parent.path}/${category.slug}` : category.slug;
+
+  const clash = await Category.exists({ path: category.path, _id: { $ne: category._id } });
+  return clash ? `Category "${category.path}" already exists` : null;
+}
+
+/* ===============================
+   LIST CATEGORIES (FLAT)
+================================ */
+
+router.get("/", permit("articles:read"), async (req, res) => {
+
+  try {
+
+    const items = await Category.find(visibleFilter(req.user))
+      .sort({ path: 1 })
+      .lean();
+
+    res.json({ items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   CATEGORY TREE WITH ARTICLE COUNTS
+   articles - filed directly under the node
+   total    - including every descendant
+================================ */
+
+router.get("/tree", permit("articles:read"), async (req, res) => {
+
+  try {
+
+    const categories = await Category.find(visibleFilter(req.user))
+      .sort({ name: 1 })
+      .lean();
+
+    const counts = await Article.aggregate([
+      { $match: articleScope(req.user) },
+      { $group: { _id: "$categoryId", count: { $sum: 1 } } }
+    ]);
+
+    const countOf = new Map(counts.map(c => [String(c._id), c.count]));
+
+    const nodes = new Map(categories.map(c => [String(c._id), {
+      id: c._id,
+      name: c.name,
+      slug: c.slug,
+      path: c.path,
+      department: c.department,
+      articles: countOf.get(String(c._id)) || 0,
+      total: 0,
+      children: []
+    }]));
+
+    const roots = [];
+
+    for (const c of categories) {
+      const node = nodes.get(String(c._id));
+      const parent = c.parent && nodes.get(String(c.parent));
+      (parent ? parent.children : roots).push(node);
+    }
+
+    const sum = node => {
+      node.total = node.articles + node.children.reduce((n, child) => n + sum(child), 0);
+      return node.total;
+    };
+    roots.forEach(sum);
+
+    res.json({ items: roots, uncategorized: countOf.get("null") || 0 });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   MIGRATE FREE TEXT CATEGORIES
+   (articles saved before categories existed)
+================================ */
+
+router.post("/migrate", permit("system:maintain"), async (req, res) => {
+
+  try {
+
+    const report = await migrateCategories();
+    res.json({ ok: true, ...report });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   CREATE CATEGORY
+   { name, parent?, department?, description? }
+================================ */
+
+router.post("/", permit("categories:manage"), async (req, res) => {
+
+  try {
+
+    if (req.body.name === undefined) {
+      return res.status(400).json({ error: "Category name required" });
+    }
+
+    const category = new Category({
+      createdBy: req.user.id,
+      department: req.user.role === "admin" ? req.user.department : undefined
+    });
+
+    const error = await applyFields(category, req.body, req.user);
+    if (error) return res.status(400).json({ error });
+
+    await category.save();
+
+    res.json({ ok: true, item: category });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   UPDATE CATEGORY
+   renames and moves carry their
+   subcategories and articles along
+================================ */
+
+router.put("/:id", permit("categories:manage"), async (req, res) => {
+
+  try {
+
+    const category = await findCategory(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+
+    if (!canManageCategory(req.user, category)) {
+      return res.status(403).json({ error: "Not allowed" });
+    }
+
+    const oldName = category.name;
+    const oldPath = category.path;
+
+    const error = await applyFields(category, req.body, req.user);
+    if (error) return res.status(400).json({ error });
+
+    await category.save();
+
+    if (category.path !== oldPath) await rebuildPaths(category);
+
+    if (category.name !== oldName) {
+      await Article.updateMany(
+        { categoryId: category._id },
+        { $set: { category: category.name } },
+        { timestamps: false }
+      );
+    }
+
+    res.json({ ok: true, item: category });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   DELETE CATEGORY
+   ?moveTo=<category> refiles its articles
+   first, subcategories must go before it
+================================ */
+
+router.delete("/:id", permit("categories:manage"), async (req, res) => {
+
+  try {
+
+    const category = await findCategory(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+
+    if (!canManageCategory(req.user, category)) {
+      return res.status(403).json({ error: "Not allowed" });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(409).json({ error: "Category has subcategories" });
+    }
+
+    const articles = await Article.find({ categoryId: category._id });
+
+    if (articles.length && !req.query.moveTo) {
+      return res.status(409).json({
+        error: "Category still has articles, pass moveTo to refile them",
+        articles: articles.length
+      });
+    }
+
+    if (articles.length) {
+
+      const target = await resolveCategory(req.query.moveTo, req.user);
+      if (target.error) return res.status(400).json({ error: target.error });
+
+      if (String(target.categoryId) === String(category._id)) {
+        return res.status(400).json({ error: "moveTo must be another category" });
+      }
+
+      for (const article of articles) {
+        await recordBaseline(article);
+        article.set({ ...target, updatedBy: req.user.id });
+        await article.save();
+        await recordRevision(article, req.user, "update");
+      }
+    }
+
+    await category.deleteOne();
+
+    res.json({ ok: true, moved: articles.length });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require("express");
+
+const Article = require("../models/Article");
+
+const permit = require("../middleware/permit");
+const {
+  MAX_DISTANCE, fingerprint, hammingDistance
+} = require("../utils/fingerprint");
+
+const router = express.Router();
+
+/* ===============================
+   LIKELY DUPLICATE CLUSTERS
+   articles grouped when their content is
+   identical or within MAX_DISTANCE bits
+================================ */
+
+router.get("/", permit("articles:manage"), async (req, res) => {
+
+  try {
+
+    const filter = { deletedAt: null, simhash: { $exists: true } };
+
+    if (req.user.role === "admin") {
+      filter.departments = req.user.department;
+    }
+
+    const docs = await Article.find(filter)
+      .select("articleNumber title status contentHash simhash simhashBands")
+      .lean();
+
+    // Union-find over articles that share a band and are close enough
+    const parent = docs.map((_, i) => i);
+    const root = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+
+    const buckets = new Map();
+
+    docs.forEach((d, i) => {
+      for (const band of d.simhashBands || []) {
+        if (!buckets.has(band)) buckets.set(band, []);
+        buckets.get(band).push(i);
+      }
+    });
+
+    for (const ids of buckets.values()) {
+      for (let a = 0; a < ids.length; a++) {
+        for (let b = a + 1; b < ids.length; b++) {
+          const x = docs[ids[a]];
+          const y = docs[ids[b]];
+
+          if (x.contentHash === y.contentHash || hammingDistance(x.simhash, y.simhash) <= MAX_DISTANCE) {
+            parent[root(ids[a])] = root(ids[b]);
+          }
+        }
+      }
+    }
+
+    const clusters = new Map();
+
+    docs.forEach((d, i) => {
+      const r = root(i);
+      if (!clusters.has(r)) clusters.set(r, []);
+      clusters.get(r).push(d);
+    });
+
+    const items = [...clusters.values()]
+      .filter(c => c.length > 1)
+      .map(c => ({
+        size: c.length,
+        exact: c.every(d => d.contentHash === c[0].contentHash),
+        articles: c
+          .map(d => ({ articleNumber: d.articleNumber, title: d.title, status: d.status }))
+          .sort((a, b) => a.articleNumber.localeCompare(b.articleNumber))
+      }))
+      .sort((a, b) => b.size - a.size);
+
+    res.json({ items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   FINGERPRINT EXISTING ARTICLES
+   (articles saved before duplicate detection)
+================================ */
+
+router.post("/rebuild", permit("system:maintain"), async (req, res) => {
+
+  try {
+
+    const docs = await Article.find({ simhash: { $exists: false } })
+      .select("content")
+      .lean();
+
+    const ops = docs
+      .filter(d => String(d.content || "").trim())
+      .map(d => ({
+        updateOne: {
+          filter: { _id: d._id },
+          update: { $set: fingerprint(d.content) },
+          timestamps: false
+        }
+      }));
+
+    if (ops.length) await Article.bulkWrite(ops);
+
+    res.json({ ok: true, updated: ops.length });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,276 @@
+const express = require("express");
+
+const Article = require("../models/Article");
+const ArticleVote = require("../models/ArticleVote");
+const ArticleComment = require("../models/ArticleComment");
+const User = require("../models/User");
+const Admin = require("../models/Admin");
+
+const permit = require("../middleware/permit");
+const visibleArticle = require("../middleware/visibleArticle");
+const { canEditArticle } = require("../utils/access");
+
+const router = express.Router();
+
+function isAdmin(user){
+  return user.role === "admin" || user.role === "superadmin";
+}
+
+async function voteCounts(articleNumber){
+
+  const counts = await ArticleVote.aggregate([
+    { $match: { articleNumber } },
+    { $group: { _id: "$helpful", count: { $sum: 1 } } }
+  ]);
+
+  const helpful = (counts.find(c => c._id === true) || {}).count || 0;
+  const notHelpful = (counts.find(c => c._id === false) || {}).count || 0;
+
+  return { helpful, notHelpful };
+}
+
+/* ===============================
+   FEEDBACK SUMMARY
+================================ */
+
+router.get("/article/:kb/feedback", permit("articles:read"), visibleArticle, async (req, res) => {
+
+  try {
+
+    const counts = await voteCounts(req.params.kb);
+    const mine = await ArticleVote.findOne({
+      articleNumber: req.params.kb,
+      userId: req.user.id
+    }).lean();
+
+    res.json({ ...counts, myVote: mine ? mine.helpful : null });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   VOTE HELPFUL / NOT HELPFUL
+   (one vote per user, can be changed)
+================================ */
+
+router.post("/article/:kb/vote", permit("articles:write"), visibleArticle, async (req, res) => {
+
+  try {
+
+    const { helpful } = req.body;
+
+    if (typeof helpful !== "boolean") {
+      return res.status(400).json({ error: "helpful must be true or false" });
+    }
+
+    await ArticleVote.findOneAndUpdate(
+      { articleNumber: req.params.kb, userId: req.user.id },
+      { $set: { helpful } },
+      { upsert: true }
+    );
+
+    res.json({ ok: true, ...(await voteCounts(req.params.kb)), myVote: helpful });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete("/article/:kb/vote", permit("articles:write"), visibleArticle, async (req, res) => {
+
+  try {
+
+    await ArticleVote.deleteOne({ articleNumber: req.params.kb, userId: req.user.id });
+
+    res.json({ ok: true, ...(await voteCounts(req.params.kb)), myVote: null });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   LIST COMMENTS (THREADED)
+================================ */
+
+router.get("/article/:kb/comments", permit("articles:read"), visibleArticle, async (req, res) => {
+
+  try {
+
+    const comments = await ArticleComment.find({ articleNumber: req.params.kb })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const byId = new Map();
+    comments.forEach(c => byId.set(String(c._id), { ...c, replies: [] }));
+
+    const items = [];
+
+    for (const c of byId.values()) {
+      const parent = c.parent && byId.get(String(c.parent));
+      if (parent) parent.replies.push(c);
+      else items.push(c);
+    }
+
+    res.json({ items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   ADD COMMENT / REPLY
+================================ */
+
+router.post("/article/:kb/comments", permit("articles:write"), visibleArticle, async (req, res) => {
+
+  try {
+
+    const { body, parent } = req.body;
+
+    if (typeof body !== "string" || !body.trim()) {
+      return res.status(400).json({ error: "Comment body required" });
+    }
+
+    if (parent) {
+      const exists = await ArticleComment.findOne({
+        _id: parent,
+        articleNumber: req.params.kb
+      }).lean();
+
+      if (!exists) {
+        return res.status(404).json({ error: "Parent comment not found" });
+      }
+    }
+
+    const Account = isAdmin(req.user) ? Admin : User;
+    const author = await Account.findById(req.user.id).select("name").lean();
+
+    const item = await ArticleComment.create({
+      articleNumber: req.params.kb,
+      parent: parent || null,
+      userId: req.user.id,
+      authorName: author ? author.name : undefined,
+      role: req.user.role,
+      body: body.trim()
+    });
+
+    res.json({ ok: true, item });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   RESOLVE / REOPEN THREAD (ADMINS)
+================================ */
+
+router.put("/comments/:id/resolve", permit("feedback:manage"), async (req, res) => {
+
+  try {
+
+    const comment = await ArticleComment.findById(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    if (comment.parent) {
+      return res.status(400).json({ error: "Resolve the top comment of the thread" });
+    }
+
+    const article = await Article.findOne({ articleNumber: comment.articleNumber }).lean();
+
+    if (article && !canEditArticle(req.user, article)) {
+      return res.status(403).json({ error: "Not allowed" });
+    }
+
+    const resolved = req.body.resolved !== false;
+
+    comment.resolved = resolved;
+    comment.resolvedBy = resolved ? req.user.id : undefined;
+    comment.resolvedAt = resolved ? new Date() : undefined;
+
+    await comment.save();
+
+    res.json({ ok: true, item: comment });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   FEEDBACK REPORT (ADMINS)
+   worst helpfulness + most unresolved
+================================ */
+
+router.get("/feedback/report", permit("feedback:manage"), async (req, res) => {
+
+  try {
+
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const minVotes = Math.max(1, parseInt(req.query.minVotes) || 3);
+
+    const articles = await Article.find(
+      req.user.role === "admin"
+        ? { departments: req.user.department, deletedAt: null }
+        : { deletedAt: null }
+    )
+      .select("articleNumber title")
+      .lean();
+
+    const titles = new Map(articles.map(a => [a.articleNumber, a.title]));
+    const inScope = { articleNumber: { $in: [...titles.keys()] } };
+
+    const worstRated = await ArticleVote.aggregate([
+      { $match: inScope },
+      { $group: {
+        _id: "$articleNumber",
+        votes: { $sum: 1 },
+        helpful: { $sum: { $cond: ["$helpful", 1, 0] } }
+      } },
+      { $match: { votes: { $gte: minVotes } } },
+      { $addFields: { ratio: { $divide: ["$helpful", "$votes"] } } },
+      { $sort: { ratio: 1, votes: -1 } },
+      { $limit: limit }
+    ]);
+
+    const mostUnresolved = await ArticleComment.aggregate([
+      { $match: { ...inScope, parent: null, resolved: false } },
+      { $group: {
+        _id: "$articleNumber",
+        unresolved: { $sum: 1 },
+        oldest: { $min: "$createdAt" }
+      } },
+      { $sort: { unresolved: -1, oldest: 1 } },
+      { $limit: limit }
+    ]);
+
+    res.json({
+      worstRated: worstRated.map(r => ({
+        articleNumber: r._id,
+        title: titles.get(r._id),
+        votes: r.votes,
+        helpful: r.helpful,
+        notHelpful: r.votes - r.helpful,
+        ratio: Math.round(r.ratio * 1000) / 1000
+      })),
+      mostUnresolved: mostUnresolved.map(r => ({
+        articleNumber: r._id,
+        title: titles.get(r._id),
+        unresolved: r.unresolved,
+        oldest: r.oldest
+      }))
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
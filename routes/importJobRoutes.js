@@ -0,0 +1,168 @@
+const express = require("express");
+
+const ImportJob = require("../models/ImportJob");
+
+const permit = require("../middleware/permit");
+const { rollbackJob } = require("../utils/importJobs");
+const { audit } = require("../utils/audit");
+
+const router = express.Router();
+
+router.use(permit("articles:write"));
+
+async function findJob(req, res){
+
+  const job = await ImportJob.findById(req.params.id);
+
+  if (!job) {
+    res.status(404).json({ error: "Import job not found" });
+    return null;
+  }
+
+  if (String(job.createdBy) !== String(req.user.id) && req.user.role !== "superadmin") {
+    res.status(403).json({ error: "Not allowed" });
+    return null;
+  }
+
+  return job;
+}
+
+function jobSummary(job){
+  return {
+    id: job._id,
+    source: job.source,
+    filename: job.filename,
+    status: job.status,
+    cancelRequested: job.cancelRequested,
+    progress: job.progress,
+    created: job.created.length,
+    failed: job.failures.length,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/* ===============================
+   LIST IMPORT JOBS
+   own jobs, superadmin sees all
+================================ */
+
+router.get("/", async (req, res) => {
+
+  try {
+
+    const filter = req.user.role === "superadmin" ? {} : { createdBy: req.user.id };
+
+    const jobs = await ImportJob.find(filter)
+      .select("-sections -user -rules")
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ items: jobs.map(jobSummary) });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   JOB STATUS
+   progress, failures and the
+   KB numbers created so far
+================================ */
+
+router.get("/:id", async (req, res) => {
+
+  try {
+
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    res.json({
+      ...jobSummary(job),
+      error: job.error,
+      articles: job.created,
+      updated: job.updated,
+      duplicates: job.duplicates,
+      failures: job.failures,
+      files: job.files
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   CANCEL
+   queued jobs stop at once, running jobs
+   after the section in progress
+================================ */
+
+router.post("/:id/cancel", async (req, res) => {
+
+  try {
+
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    const dequeued = await ImportJob.findOneAndUpdate(
+      { _id: job._id, status: "queued" },
+      { $set: { status: "cancelled", cancelRequested: true, finishedAt: new Date() } },
+      { new: true }
+    );
+
+    if (dequeued) return res.json({ ok: true, status: dequeued.status });
+
+    const running = await ImportJob.findOneAndUpdate(
+      { _id: job._id, status: "running" },
+      { $set: { cancelRequested: true } },
+      { new: true }
+    );
+
+    if (!running) {
+      return res.status(400).json({ error: `Job is already ${job.status}` });
+    }
+
+    res.json({ ok: true, status: running.status, cancelRequested: true });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   ROLLBACK
+   deletes the articles a finished job
+   created (not the ones it updated)
+================================ */
+
+router.post("/:id/rollback", async (req, res) => {
+
+  try {
+
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    const removed = await rollbackJob(job);
+
+    if (removed === null) {
+      return res.status(400).json({ error: `Cannot roll back a ${job.status} job` });
+    }
+
+    await audit(req, "import.rollback", {
+      target: { type: "import", id: job._id, label: job.filename },
+      departments: [job.user && job.user.department],
+      before: { articles: job.created },
+      after: { removed }
+    });
+
+    res.json({ ok: true, removed });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require("express");
+
+const ImportProfile = require("../models/ImportProfile");
+
+const permit = require("../middleware/permit");
+const { compileMarker } = require("../utils/importers");
+const { resolveCategory } = require("../utils/categories");
+
+const router = express.Router();
+
+const FIELDS = ["name", "splitBy", "headingLevel", "pattern", "category", "tags", "status", "department"];
+
+router.use(permit("imports:manage"));
+
+// Admins only manage their own department's profiles (and shared ones)
+function ownsProfile(user, profile){
+  return user.role !== "admin" || !profile.department || profile.department === user.department;
+}
+
+// Copy allowed fields from the request, returns an error message if invalid
+async function applyFields(profile, body, user){
+
+  for (const f of FIELDS) {
+    if (body[f] !== undefined) profile[f] = body[f];
+  }
+
+  if (profile.splitBy === "marker") {
+    try {
+      compileMarker(profile.pattern);
+    } catch (err) {
+      return "A valid pattern is required for marker splitting: " + err.message;
+    }
+  }
+
+  if (body.category !== undefined && body.category !== "") {
+    const filed = await resolveCategory(body.category, user);
+    if (filed.error) return filed.error;
+  }
+
+  // Admins can only default imports into their own department
+  if (!ownsProfile(user, profile)) {
+    return "Department must be your own";
+  }
+
+  const invalid = profile.validateSync();
+  return invalid ? invalid.message : null;
+}
+
+/* ===============================
+   LIST PROFILES
+================================ */
+
+router.get("/", async (req, res) => {
+
+  try {
+
+    const items = await ImportProfile.find()
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({ items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   CREATE PROFILE
+================================ */
+
+router.post("/", async (req, res) => {
+
+  try {
+
+    if (typeof req.body.name !== "string" || !req.body.name.trim()) {
+      return res.status(400).json({ error: "Profile name required" });
+    }
+
+    const exists = await ImportProfile.findOne({ name: req.body.name });
+
+    if (exists) {
+      return res.status(400).json({ error: "Profile already exists" });
+    }
+
+    const profile = new ImportProfile({ createdBy: req.user.id });
+    const error = await applyFields(profile, req.body, req.user);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await profile.save();
+
+    res.json({ ok: true, item: profile });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   UPDATE PROFILE
+================================ */
+
+router.put("/:id", async (req, res) => {
+
+  try {
+
+    const profile = await ImportProfile.findById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: "Profile not found" });
+    }
+
+    if (!ownsProfile(req.user, profile)) {
+      return res.status(403).json({ error: "Profile belongs to another department" });
+    }
+
+    const error = await applyFields(profile, req.body, req.user);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await profile.save();
+
+    res.json({ ok: true, item: profile });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   DELETE PROFILE
+================================ */
+
+router.delete("/:id", async (req, res) => {
+
+  try {
+
+    const profile = await ImportProfile.findById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: "Profile not found" });
+    }
+
+    if (!ownsProfile(req.user, profile)) {
+      return res.status(403).json({ error: "Profile belongs to another department" });
+    }
+
+    await profile.deleteOne();
+
+    res.json({ ok: true });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
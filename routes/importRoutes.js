@@ -0,0 +1,351 @@
+const express = require("express");
+const multer = require("multer");
+const fs = require("fs");
+
+const ImportPreview = require("../models/ImportPreview");
+
+const permit = require("../middleware/permit");
+const { makeSummary } = require("../utils/articles");
+const { findDuplicates } = require("../utils/duplicates");
+const {
+  requireType, parseDocument, readZip, skippedFile, splitUpload
+} = require("../utils/importers");
+const { loadProfile, importScope, splitText } = require("../utils/imports");
+const { storeFile, enqueueJob } = require("../utils/importJobs");
+
+const router = express.Router();
+
+/* ===============================
+   UPLOAD SETUP
+================================ */
+if (!fs.existsSync("uploads")) fs.mkdirSync("uploads");
+const upload = multer({ dest: "uploads/" });
+
+function isPreview(body){
+  return body.preview === true || body.preview === "true";
+}
+
+/* ===============================
+   QUEUE AN IMPORT JOB
+   the worker (utils/importJobs.js) creates
+   the articles; poll /import-jobs/:id
+================================ */
+
+async function queueImport(req, fields){
+
+  const job = await enqueueJob({
+    createdBy: req.user.id,
+    user: { id: req.user.id, role: req.user.role, department: req.user.department },
+    ip: req.ip,
+    onDuplicate: req.body.onDuplicate,
+    ...fields
+  });
+
+  return { ok: true, jobId: job._id, status: job.status };
+}
+
+/* ===============================
+   SAVE PARSE FOR LATER COMMIT
+================================ */
+
+async function createPreview(user, source, filename, sections, defaults){
+
+  const preview = await ImportPreview.create({
+    createdBy: user.id,
+    source,
+    filename,
+    ...defaults,
+    sections
+  });
+
+  return {
+    preview: true,
+    previewId: preview._id,
+    expiresAt: preview.expiresAt,
+    sections: await Promise.all(preview.sections.map(async (s, index) => ({
+      index,
+      title: s.title,
+      summary: makeSummary(s.content),
+      contentLength: (s.content || "").length,
+      duplicates: await findDuplicates(s.content, user)
+    })))
+  };
+}
+
+/* ===============================
+   IMPORT SOP TEXT
+   preview=true returns the plan only, otherwise
+   the import runs as a background job;
+   profile=<name> picks the split rules,
+   onDuplicate=flag|skip|update|force
+================================ */
+
+router.post("/import-text", permit("articles:write"), async (req, res) => {
+
+  try {
+
+    const { text } = req.body;
+    if (!text) return res.status(400).json({ error: "Text required" });
+
+    const { rules, defaults, error } = await loadProfile(req.body.profile, "bulk");
+    if (error) return res.status(400).json({ error });
+
+    const scope = await importScope(req.user, defaults);
+    if (scope.error) return res.status(403).json({ error: scope.error });
+
+    if (isPreview(req.body)) {
+      const sections = splitText(text, rules);
+      const preview = await createPreview(req.user, "text", undefined, sections, defaults);
+      return res.json({ ok: true, ...preview });
+    }
+
+    const fileId = await storeFile(Buffer.from(String(text)), "import.txt");
+    const job = await queueImport(req, { source: "text", fileId, rules, defaults });
+
+    res.status(202).json(job);
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   PREVIEW EVERY FILE IN A ZIP
+   one result per file, failures
+   don't stop the rest
+================================ */
+
+async function previewZip(req, buf, rules, defaults){
+
+  const { files, skipped } = await readZip(buf);
+  const results = skipped.map(skippedFile);
+
+  for (const f of files) {
+    try {
+
+      const doc = await parseDocument(f.data, f.name, req.user);
+
+      if (doc.type === "zip") throw new Error("Nested zip files are not supported");
+      if (!doc.text.trim()) throw new Error("No text extracted");
+
+      const sections = splitUpload(f.name, doc, req.body.mode, rules);
+      const preview = await createPreview(req.user, "upload", f.name, sections, defaults);
+      results.push({ file: f.name, type: doc.type, ok: true, ...preview });
+
+    } catch (err) {
+      results.push({ file: f.name, ok: false, error: err.message });
+    }
+  }
+
+  return {
+    batch: true,
+    files: results.length,
+    failed: results.filter(r => !r.ok && !r.skipped).length,
+    skipped: skipped.length,
+    results
+  };
+}
+
+/* ===============================
+   UPLOAD DOCUMENT
+   .docx .pdf .md .html .txt or a .zip of them,
+   type detected from content.
+   preview=true returns the plan only, otherwise
+   the import runs as a background job;
+   profile=<name> picks the split rules,
+   onDuplicate=flag|skip|update|force
+================================ */
+
+router.post("/upload", permit("articles:write"), upload.single("file"), async (req, res) => {
+
+  const file = req.file;
+
+  try {
+
+    if (!file) return res.status(400).json({ error: "No file" });
+
+    const { rules, defaults, error } = await loadProfile(req.body.profile, "upload");
+    if (error) return res.status(400).json({ error });
+
+    const scope = await importScope(req.user, defaults);
+    if (scope.error) return res.status(403).json({ error: scope.error });
+
+    const buf = fs.readFileSync(file.path);
+
+    if (!isPreview(req.body)) {
+      // Reject what the job could never parse before queueing it
+      await requireType(buf, file.originalname);
+
+      const fileId = await storeFile(buf, file.originalname);
+      const job = await queueImport(req, {
+        source: "upload",
+        filename: file.originalname,
+        fileId,
+        mode: req.body.mode,
+        rules,
+        defaults
+      });
+      return res.status(202).json(job);
+    }
+
+    const doc = await parseDocument(buf, file.originalname, req.user);
+
+    if (doc.type === "zip") {
+      const report = await previewZip(req, buf, rules, defaults);
+      return res.json({ ok: true, ...report });
+    }
+
+    if (!doc.text.trim()) return res.status(400).json({ error: "No text extracted" });
+
+    const sections = splitUpload(file.originalname, doc, req.body.mode, rules);
+    const preview = await createPreview(req.user, "upload", file.originalname, sections, defaults);
+
+    res.json({ ok: true, ...preview });
+
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  } finally {
+    if (file) fs.unlink(file.path, () => {});
+  }
+});
+
+/* ===============================
+   GET STORED PREVIEW
+================================ */
+
+async function findPreview(req, res){
+
+  const preview = await ImportPreview.findById(req.params.id);
+
+  if (!preview) {
+    res.status(404).json({ error: "Preview not found or expired" });
+    return null;
+  }
+
+  if (String(preview.createdBy) !== String(req.user.id) && req.user.role !== "superadmin") {
+    res.status(403).json({ error: "Not allowed" });
+    return null;
+  }
+
+  return preview;
+}
+
+router.get("/import/:id", permit("articles:write"), async (req, res) => {
+
+  try {
+
+    const preview = await findPreview(req, res);
+    if (!preview) return;
+
+    res.json(preview);
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   COMMIT EDITED PLAN
+   { sections: [{ from: 0 | [1,2], title }] }
+   omitted sections are dropped, several
+   "from" indexes are merged in order;
+   onDuplicate as for the import itself.
+   Articles are created by a background job
+================================ */
+
+router.post("/import/:id/commit", permit("articles:write"), async (req, res) => {
+
+  try {
+
+    const preview = await findPreview(req, res);
+    if (!preview) return;
+
+    if (preview.committed) {
+      return res.status(400).json({ error: "Preview already committed" });
+    }
+
+    const defaults = {
+      category: preview.category || "General",
+      tags: preview.tags,
+      status: preview.status || "draft",
+      department: preview.department
+    };
+
+    const scope = await importScope(req.user, defaults);
+    if (scope.error) return res.status(403).json({ error: scope.error });
+
+    const parsed = preview.sections;
+    let plan = parsed.map((s, i) => ({ from: [i], title: s.title }));
+
+    if (req.body.sections !== undefined) {
+
+      if (!Array.isArray(req.body.sections)) {
+        return res.status(400).json({ error: "sections must be an array" });
+      }
+
+      const used = new Set();
+      plan = [];
+
+      for (const item of req.body.sections) {
+        const from = [].concat(item && item.from !== undefined ? item.from : []);
+
+        if (!from.length) {
+          return res.status(400).json({ error: "Each section needs a from index" });
+        }
+
+        for (const i of from) {
+          if (!Number.isInteger(i) || i < 0 || i >= parsed.length) {
+            return res.status(400).json({ error: `Invalid section index ${i}` });
+          }
+          if (used.has(i)) {
+            return res.status(400).json({ error: `Section ${i} used more than once` });
+          }
+          used.add(i);
+        }
+
+        plan.push({
+          from,
+          title: typeof item.title === "string" && item.title.trim()
+            ? item.title.trim()
+            : parsed[from[0]].title
+        });
+      }
+    }
+
+    // Claim the preview so a double click can't import twice
+    const claimed = await ImportPreview.findOneAndUpdate(
+      { _id: preview._id, committed: false },
+      { $set: { committed: true } }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({ error: "Preview already committed" });
+    }
+
+    const sections = plan.map(p => {
+      const parts = p.from.map(i => parsed[i]);
+      const rich = parts.some(s => s.html);
+
+      return {
+        title: p.title,
+        content: parts.map(s => s.content).join("\n\n"),
+        html: rich ? parts.map(s => s.html || "").join("\n") : undefined
+      };
+    });
+
+    const job = await queueImport(req, {
+      source: "preview",
+      filename: preview.filename,
+      previewId: preview._id,
+      sections,
+      defaults
+    });
+
+    res.status(202).json(job);
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require("express");
+
+const Article = require("../models/Article");
+
+const permit = require("../middleware/permit");
+const { articleScope } = require("../utils/access");
+const { extractLinks } = require("../utils/links");
+
+const router = express.Router();
+
+/* ===============================
+   DANGLING REFERENCES REPORT
+   (links to missing, trashed or unpublished articles)
+================================ */
+
+router.get("/dangling", permit("articles:manage"), async (req, res) => {
+
+  try {
+
+    const items = await Article.aggregate([
+      { $match: { ...articleScope(req.user), "links.0": { $exists: true } } },
+      { $project: { articleNumber: 1, title: 1, status: 1, links: 1 } },
+      { $unwind: "$links" },
+      { $lookup: {
+        from: Article.collection.name,
+        localField: "links",
+        foreignField: "articleNumber",
+        as: "target"
+      } },
+      { $project: {
+        _id: 0,
+        articleNumber: 1,
+        title: 1,
+        status: 1,
+        target: "$links",
+        targetStatus: { $first: "$target.status" },
+        targetDeleted: { $first: "$target.deletedAt" }
+      } },
+      { $match: { $or: [
+        { targetStatus: { $ne: "published" } },
+        { targetDeleted: { $ne: null } }
+      ] } },
+      { $addFields: {
+        reason: { $switch: {
+          branches: [
+            { case: { $not: [{ $ifNull: ["$targetStatus", false] }] }, then: "missing" },
+            { case: { $ifNull: ["$targetDeleted", false] }, then: "trashed" }
+          ],
+          default: "unpublished"
+        } }
+      } },
+      { $project: { targetDeleted: 0 } },
+      { $sort: { articleNumber: 1, target: 1 } }
+    ]);
+
+    res.json({ items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   REBUILD ALL LINKS
+   (articles saved before link tracking)
+================================ */
+
+router.post("/rebuild", permit("system:maintain"), async (req, res) => {
+
+  try {
+
+    const docs = await Article.find()
+      .select("articleNumber summary content")
+      .lean();
+
+    const ops = docs.map(d => ({
+      updateOne: {
+        filter: { _id: d._id },
+        update: { $set: { links: extractLinks([d.summary, d.content], d.articleNumber) } },
+        timestamps: false
+      }
+    }));
+
+    if (ops.length) await Article.bulkWrite(ops);
+
+    res.json({ ok: true, updated: ops.length });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
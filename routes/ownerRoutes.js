@@ -0,0 +1,117 @@
+const express = require("express");
+const mongoose = require("mongoose");
+
+const Article = require("../models/Article");
+const Admin = require("../models/Admin");
+const User = require("../models/User");
+
+const permit = require("../middleware/permit");
+const { findAccount } = require("../utils/accounts");
+const { audit, articleTarget } = require("../utils/audit");
+
+const router = express.Router();
+
+router.use(permit("articles:manage"));
+
+// Articles whose owner the caller may change, trashed ones included
+function reassignScope(user){
+  if (user.role === "superadmin") return {};
+  return user.department ? { departments: user.department } : { _id: null };
+}
+
+/* ===============================
+   ORPHANED ARTICLES
+   owners whose account no longer exists,
+   e.g. after an admin was removed
+================================ */
+
+router.get("/orphaned", async (req, res) => {
+
+  try {
+
+    const owners = await Article.aggregate([
+      { $match: { ...reassignScope(req.user), owner: { $ne: null } } },
+      { $group: { _id: "$owner", count: { $sum: 1 } } }
+    ]);
+
+    const ids = owners.map(o => o._id);
+
+    const [admins, users] = await Promise.all([
+      Admin.find({ _id: { $in: ids } }).select("_id").lean(),
+      User.find({ _id: { $in: ids } }).select("_id").lean()
+    ]);
+
+    const known = new Set([...admins, ...users].map(a => String(a._id)));
+
+    const items = owners
+      .filter(o => !known.has(String(o._id)))
+      .map(o => ({ owner: o._id, articles: o.count }));
+
+    res.json({ items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   REASSIGN OWNERSHIP
+   { from, to } moves every article owned by
+   from; articleNumbers limits it to a list
+================================ */
+
+router.post("/reassign", async (req, res) => {
+
+  try {
+
+    const { from, to, articleNumbers } = req.body;
+
+    if (!mongoose.isValidObjectId(from) || !mongoose.isValidObjectId(to)) {
+      return res.status(400).json({ error: "from and to must be account ids" });
+    }
+
+    const account = await findAccount(to);
+
+    if (!account) {
+      return res.status(400).json({ error: "New owner not found" });
+    }
+
+    if (req.user.role === "admin" && account.department !== req.user.department) {
+      return res.status(403).json({ error: "New owner must be in your department" });
+    }
+
+    const filter = { ...reassignScope(req.user), owner: from };
+
+    if (articleNumbers !== undefined) {
+      if (!Array.isArray(articleNumbers)) {
+        return res.status(400).json({ error: "articleNumbers must be an array" });
+      }
+      filter.articleNumber = { $in: articleNumbers };
+    }
+
+    const articles = await Article.find(filter)
+      .select("articleNumber title departments")
+      .lean();
+
+    const result = await Article.updateMany(
+      { _id: { $in: articles.map(a => a._id) }, owner: from },
+      { $set: { owner: to, updatedBy: req.user.id } }
+    );
+
+    for (const article of articles) {
+      await audit(req, "article.reassign_owner", {
+        target: articleTarget(article),
+        departments: article.departments,
+        before: { owner: from },
+        after: { owner: to }
+      });
+    }
+
+    res.json({ ok: true, reassigned: result.modifiedCount });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
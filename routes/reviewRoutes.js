@@ -0,0 +1,136 @@
+const express = require("express");
+
+const Article = require("../models/Article");
+
+const permit = require("../middleware/permit");
+const { canEditArticle } = require("../utils/access");
+const { DAY, STALE_DAYS, markReviewed } = require("../utils/schedule");
+
+const router = express.Router();
+
+const ORG_WIDE = "(org-wide)";
+
+/* ===============================
+   OVERDUE AND STALE REPORT
+   overdue - reviewBy has passed
+   stale   - not edited or reviewed in STALE_DAYS
+   grouped by owning department
+================================ */
+
+router.get("/report", permit("articles:review"), async (req, res) => {
+
+  try {
+
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - STALE_DAYS * DAY);
+
+    const base = { deletedAt: null, status: { $ne: "archived" } };
+
+    if (req.user.role === "admin") {
+      base.departments = req.user.department;
+    }
+
+    const fields = "articleNumber title status departments owner reviewBy lastReviewedAt updatedAt";
+
+    const [overdue, stale] = await Promise.all([
+      Article.find({ ...base, reviewBy: { $lte: now } })
+        .select(fields)
+        .sort({ reviewBy: 1 })
+        .lean(),
+      Article.find({
+        ...base,
+        updatedAt: { $lte: cutoff },
+        $or: [{ lastReviewedAt: null }, { lastReviewedAt: { $lte: cutoff } }]
+      })
+        .select(fields)
+        .sort({ updatedAt: 1 })
+        .lean()
+    ]);
+
+    const departments = new Map();
+
+    const bucket = name => {
+      if (!departments.has(name)) {
+        departments.set(name, { department: name, overdue: [], stale: [] });
+      }
+      return departments.get(name);
+    };
+
+    const add = (list, key) => {
+      for (const a of list) {
+        const names = a.departments && a.departments.length ? a.departments : [ORG_WIDE];
+
+        for (const name of names) {
+          // Department admins only see their own department's rows
+          if (req.user.role === "admin" && name !== req.user.department) continue;
+          bucket(name)[key].push(a);
+        }
+      }
+    };
+
+    add(overdue, "overdue");
+    add(stale, "stale");
+
+    const items = [...departments.values()]
+      .sort((a, b) => a.department.localeCompare(b.department))
+      .map(d => ({
+        ...d,
+        overdueCount: d.overdue.length,
+        staleCount: d.stale.length,
+        unowned: new Set(
+          [...d.overdue, ...d.stale].filter(a => !a.owner).map(a => a.articleNumber)
+        ).size
+      }));
+
+    res.json({ staleDays: STALE_DAYS, items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   MARK REVIEWED
+   { nextReviewBy? } otherwise the next date
+   is reviewInterval days from now
+================================ */
+
+router.post("/:kb/done", permit("articles:write"), async (req, res) => {
+
+  try {
+
+    const article = await Article.findOne({ articleNumber: req.params.kb, deletedAt: null });
+
+    if (!article) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    if (!canEditArticle(req.user, article)) {
+      return res.status(403).json({ error: "Not allowed" });
+    }
+
+    let next;
+
+    if (req.body.nextReviewBy !== undefined) {
+      next = new Date(req.body.nextReviewBy);
+
+      if (isNaN(next) || next <= new Date()) {
+        return res.status(400).json({ error: "nextReviewBy must be a future date" });
+      }
+    }
+
+    markReviewed(article, next);
+    await article.save();
+
+    res.json({
+      ok: true,
+      lastReviewedAt: article.lastReviewedAt,
+      reviewBy: article.reviewBy
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
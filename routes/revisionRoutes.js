@@ -0,0 +1,167 @@
+const express = require("express");
+
+const Article = require("../models/Article");
+const ArticleRevision = require("../models/ArticleRevision");
+
+const permit = require("../middleware/permit");
+const visibleArticle = require("../middleware/visibleArticle");
+const { recordRevision, recordBaseline, diffSnapshots } = require("../utils/revisions");
+const { canEditArticle } = require("../utils/access");
+const { can } = require("../utils/permissions");
+const { resolveCategory } = require("../utils/categories");
+const { summarize, auditArticle } = require("../utils/audit");
+
+const router = express.Router();
+
+/* ===============================
+   LIST REVISIONS OF AN ARTICLE
+================================ */
+
+router.get("/article/:kb/revisions", permit("articles:read"), visibleArticle, async (req, res) => {
+
+  try {
+
+    const items = await ArticleRevision.find({ articleNumber: req.params.kb })
+      .select("revision action restoredFrom editedBy editedByRole createdAt snapshot.title")
+      .sort({ revision: -1 })
+      .lean();
+
+    res.json({ items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   GET SINGLE REVISION
+================================ */
+
+router.get("/article/:kb/revisions/:rev", permit("articles:read"), visibleArticle, async (req, res) => {
+
+  try {
+
+    const item = await ArticleRevision.findOne({
+      articleNumber: req.params.kb,
+      revision: Number(req.params.rev)
+    }).lean();
+
+    if (!item) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    res.json(item);
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   DIFF TWO REVISIONS
+   ?from=1&to=3
+================================ */
+
+router.get("/article/:kb/diff", permit("articles:read"), visibleArticle, async (req, res) => {
+
+  try {
+
+    const from = Number(req.query.from);
+    const to = Number(req.query.to);
+
+    if (!from || !to) {
+      return res.status(400).json({ error: "from and to revisions required" });
+    }
+
+    const revs = await ArticleRevision.find({
+      articleNumber: req.params.kb,
+      revision: { $in: [from, to] }
+    }).lean();
+
+    const a = revs.find(r => r.revision === from);
+    const b = revs.find(r => r.revision === to);
+
+    if (!a || !b) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    res.json({
+      articleNumber: req.params.kb,
+      from,
+      to,
+      changes: diffSnapshots(a.snapshot, b.snapshot)
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   RESTORE OLD REVISION
+   (saved as a new revision)
+================================ */
+
+router.post("/article/:kb/revisions/:rev/restore", permit("articles:write"), async (req, res) => {
+
+  try {
+
+    const rev = await ArticleRevision.findOne({
+      articleNumber: req.params.kb,
+      revision: Number(req.params.rev)
+    }).lean();
+
+    if (!rev) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    const article = await Article.findOne({ articleNumber: req.params.kb, deletedAt: null });
+
+    if (!article) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    if (!canEditArticle(req.user, article)) {
+      return res.status(403).json({ error: "Not allowed" });
+    }
+
+    const before = summarize("article", article);
+
+    // Status stays under workflow control
+    const { status, category, categoryId, ...fields } = rev.snapshot;
+
+    // The category's current name and id; older snapshots only have
+    // the name. One that's gone or out of reach leaves it unchanged.
+    let filed = categoryId ? await resolveCategory(String(categoryId), req.user) : { error: true };
+    if (filed.error) filed = await resolveCategory(category, req.user);
+    if (!filed.error) Object.assign(fields, filed);
+
+    await recordBaseline(article);
+    article.set(fields);
+    article.updatedBy = req.user.id;
+
+    // Same rule as editing: restored content goes back through review
+    // unless a reviewer restores it
+    const contentRestored = ["title", "summary", "content", "contentHtml"]
+      .some(f => article.isModified(f));
+
+    if (article.status === "published" && contentRestored && !can(req.user, "articles:review")) {
+      article.status = "draft";
+    }
+
+    await article.save();
+
+    const revision = await recordRevision(article, req.user, "restore", {
+      restoredFrom: rev.revision
+    });
+
+    await auditArticle(req, "article.restore_revision", before, article);
+
+    res.json({ ok: true, item: article, revision: revision.revision });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require("express");
+
+const Article = require("../models/Article");
+const Category = require("../models/Category");
+const SearchLog = require("../models/SearchLog");
+
+const permit = require("../middleware/permit");
+const { articleScope, liveFilter } = require("../utils/access");
+const { can } = require("../utils/permissions");
+const { categoryIds } = require("../utils/categories");
+const {
+  cleanQuery, dateParam, escapeRegex, expandQuery, makeSnippet
+} = require("../utils/search");
+
+const router = express.Router();
+
+const MAX_LIMIT = 100;
+
+function listParam(v){
+  if (!v) return [];
+  return (Array.isArray(v) ? v : [v])
+    .filter(s => typeof s === "string")
+    .flatMap(s => s.split(","))
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+
+/* ===============================
+   SEARCH
+   ?q=&category=&tag=&status=&from=&to=
+   &sort=relevance|recent&page=&limit=
+   category is an id or path and takes
+   in its subcategories
+================================ */
+
+router.get("/search", permit("articles:read"), async (req, res) => {
+
+  try {
+
+    const q = cleanQuery(req.query.q);
+    const categories = listParam(req.query.category);
+    const tags = listParam(req.query.tag);
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || 20));
+    const sort = q && req.query.sort !== "recent" ? "relevance" : "recent";
+
+    if (!q && !categories.length && !tags.length) {
+      return res.json({ items: [], page, limit, total: 0, pages: 0, facets: { categories: [], tags: [] } });
+    }
+
+    // Only reviewers may look beyond published content
+    let status = "published";
+    let live = true;
+    if (can(req.user, "articles:review") && typeof req.query.status === "string") {
+      status = req.query.status;
+      live = false;
+    }
+
+    // Scheduled and expired articles only show up for an explicit status
+    const and = [articleScope(req.user)];
+    if (live) and.push(liveFilter());
+    const expansion = await expandQuery(q, req.user);
+
+    if (q) {
+      const or = [{ articleNumber: new RegExp(escapeRegex(q), "i") }];
+
+      if (expansion.expanded.length) {
+        or.push({ $text: { $search: expansion.expanded.join(" ") } });
+      }
+
+      and.push({ $or: or });
+    }
+
+    const match = { status, $and: and };
+
+    if (categories.length) match.categoryId = { $in: await categoryIds(categories) };
+    if (tags.length) match.tags = { $all: tags };
+
+    const from = dateParam(req.query.from);
+    const to = dateParam(req.query.to);
+
+    if (from || to) {
+      match.updatedAt = {};
+      if (from) match.updatedAt.$gte = from;
+      if (to) match.updatedAt.$lte = to;
+    }
+
+    const textSearch = expansion.expanded.length > 0;
+    const order = sort === "relevance" && textSearch
+      ? { score: { $meta: "textScore" }, updatedAt: -1 }
+      : { updatedAt: -1 };
+
+    const [result] = await Article.aggregate([
+      { $match: match },
+      { $facet: {
+        items: [
+          { $sort: order },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: {
+            articleNumber: 1, title: 1, summary: 1, content: 1,
+            category: 1, categoryId: 1, tags: 1, status: 1, updatedAt: 1
+          } }
+        ],
+        total: [{ $count: "count" }],
+        categories: [
+          { $group: { _id: "$categoryId", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        tags: [
+          { $unwind: "$tags" },
+          { $group: { _id: "$tags", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 50 }
+        ]
+      } }
+    ]);
+
+    // Facets are per category id, so same-named categories under
+    // different parents stay apart; name and path label them
+    const filed = await Category.find({ _id: { $in: result.categories.map(c => c._id) } })
+      .select("name path")
+      .lean();
+    const categoryOf = new Map(filed.map(c => [String(c._id), c]));
+
+    const terms = expansion.expanded;
+    const total = result.total.length ? result.total[0].count : 0;
+
+    // Snippet replaces the full article body in results
+    const items = result.items.map(({ content, ...item }) => ({
+      ...item,
+      snippet: makeSnippet(content, terms)
+    }));
+
+    // Log the first page of each text query for the analytics reports
+    let searchId;
+
+    if (q && page === 1) {
+      const log = new SearchLog({
+        query: q.toLowerCase(),
+        userId: req.user.id,
+        role: req.user.role,
+        department: req.user.department,
+        resultCount: total
+      });
+
+      searchId = log._id;
+      log.save().catch(err => console.error("Search log failed:", err.message));
+    }
+
+    res.json({
+      searchId,
+      items,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      sort,
+      query: {
+        terms: expansion.terms,
+        corrected: expansion.corrected,
+        synonyms: expansion.synonyms
+      },
+      facets: {
+        categories: result.categories.map(c => {
+          const category = categoryOf.get(String(c._id));
+          return {
+            value: c._id,
+            name: category ? category.name : null,
+            path: category ? category.path : null,
+            count: c.count
+          };
+        }),
+        tags: result.tags.map(t => ({ value: t._id, count: t.count }))
+      }
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   RECORD RESULT CLICK
+================================ */
+
+router.post("/search/:id/click", permit("articles:read"), async (req, res) => {
+
+  try {
+
+    const { articleNumber } = req.body;
+
+    if (typeof articleNumber !== "string" || !articleNumber) {
+      return res.status(400).json({ error: "articleNumber required" });
+    }
+
+    const log = await SearchLog.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      { $set: { clickedArticle: articleNumber, clickedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!log) {
+      return res.status(404).json({ error: "Search not found" });
+    }
+
+    res.json({ ok: true });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require("express");
+
+const Session = require("../models/Session");
+
+const permit = require("../middleware/permit");
+const {
+  refreshSession, revokeSession, activeSessions
+} = require("../utils/sessions");
+
+const router = express.Router();
+
+/* ===============================
+   REFRESH ACCESS TOKEN
+   { refreshToken } - returns a new access
+   token and a new refresh token; the old
+   refresh token stops working
+================================ */
+
+router.post("/refresh", async (req, res) => {
+
+  try {
+
+    const result = await refreshSession(req.body.refreshToken);
+
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({ ok: true, ...result });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   LOGOUT (THIS SESSION)
+================================ */
+
+router.post("/logout", permit("account:self"), async (req, res) => {
+
+  try {
+
+    await revokeSession(req.user.sid, req.user.id, "logout");
+    res.json({ ok: true });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   LOGOUT ALL SESSIONS
+================================ */
+
+router.post("/logout-all", permit("account:self"), async (req, res) => {
+
+  try {
+
+    const result = await Session.revokeAll(req.user.id, "logout_all");
+    res.json({ ok: true, revoked: result.modifiedCount });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   MY ACTIVE SESSIONS
+================================ */
+
+router.get("/sessions", permit("account:self"), async (req, res) => {
+
+  try {
+
+    const items = await activeSessions(req.user.id);
+
+    res.json({
+      items: items.map(s => ({ ...s, current: String(s._id) === String(req.user.sid) }))
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   END ONE OF MY SESSIONS
+================================ */
+
+router.delete("/sessions/:id", permit("account:self"), async (req, res) => {
+
+  try {
+
+    const revoked = await revokeSession(req.params.id, req.user.id, "logout");
+
+    if (!revoked) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    res.json({ ok: true });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
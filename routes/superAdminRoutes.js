@@ -1,13 +1,21 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 
 const User = require("../models/User");
 const Admin = require("../models/Admin");
 const Department = require("../models/Department");
-
-const auth = require("../middleware/auth");
-const superAdminAuth = require("../middleware/superAdminAuth");
+const Session = require("../models/Session");
+
+const permit = require("../middleware/permit");
+const { isActive, startSession, activeSessions } = require("../utils/sessions");
+const { isLocked, recordFailure, recordSuccess } = require("../utils/lockout");
+const { reset } = require("../utils/rateLimit");
+const { findAccount } = require("../utils/accounts");
+const { getSetting, allSettings, setSetting } = require("../utils/settings");
+const { clearTwoFactor, loginChallenge, completeChallenge } = require("../utils/twoFactor");
+const { summarize, changes, audit } = require("../utils/audit");
+const { loginLimits } = require("../middleware/throttles");
 
 const router = express.Router();
 
@@ -15,150 +23,254 @@ const router = express.Router();
    SUPER ADMIN LOGIN
 ================================ */
 
-router.post("/login", async (req, res) => {
+router.post("/login", loginLimits, async (req, res) => {
 
-  const { email, password } = req.body;
+  try {
 
-  if (!email || !password) {
-    return res.status(400).json({ error: "Email and password required" });
-  }
+    const { email, password } = req.body;
 
-  const admin = await Admin.findOne({
-    email,
-    role: "superadmin"
-  });
+    if (!email || !password) {
+      return res.status(400).json({ error: "Email and password required" });
+    }
 
-  if (!admin) {
-    return res.status(401).json({ error: "Invalid credentials" });
-  }
+    const admin = await Admin.findOne({
+      email,
+      role: "superadmin"
+    });
+
+    if (!admin) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    if (isLocked(admin)) {
+      return res.status(423).json({ error: "Account locked, try again later", lockedUntil: admin.lockedUntil });
+    }
+
+    const match = await bcrypt.compare(password, admin.password);
+
+    if (!match) {
+      await recordFailure(admin);
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
 
-  const match = await bcrypt.compare(password, admin.password);
+    if (!isActive(admin)) {
+      return res.status(403).json({ error: "Account is deactivated" });
+    }
+
+    const challenge = await loginChallenge(admin);
+
+    if (challenge) {
+      return res.json({ ok: true, ...challenge });
+    }
+
+    await recordSuccess(admin);
+
+    const session = await startSession(admin, "Admin", req);
 
-  if (!match) {
-    return res.status(401).json({ error: "Invalid credentials" });
+    await audit(req, "auth.login", { actor: admin, target: accountTarget("admin", admin) });
+
+    res.json({
+      ok: true,
+      ...session,
+      admin: {
+        email: admin.email,
+        role: admin.role
+      }
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  const token = jwt.sign(
-    {
-      id: admin._id,
-      role: admin.role
-    },
-    process.env.JWT_SECRET || "knowledgehubsecret",
-    { expiresIn: "1d" }
-  );
-
-  res.json({
-    ok: true,
-    token,
-    admin: {
-      email: admin.email,
-      role: admin.role
-    }
-  });
+function accountTarget(type, account){
+  return { type, id: account._id, label: account.email };
+}
+
+/* ===============================
+   SUPER ADMIN LOGIN, SECOND STEP
+   { challengeToken, code | recoveryCode }
+================================ */
+
+router.post("/login/2fa", loginLimits, async (req, res) => {
+
+  try {
+
+    const result = await completeChallenge(req.body, ["superadmin"]);
+
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    const { admin, ...extra } = result;
+    const session = await startSession(admin, "Admin", req);
+
+    await audit(req, extra.recoveryCodes ? "auth.2fa_enroll" : "auth.login", {
+      actor: admin,
+      target: accountTarget("admin", admin),
+      after: { secondFactor: req.body.recoveryCode ? "recovery_code" : "totp" }
+    });
+
+    res.json({
+      ok: true,
+      ...session,
+      ...extra,
+      admin: {
+        email: admin.email,
+        role: admin.role
+      }
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 /* ===============================
    CREATE DEPARTMENT
 ================================ */
 
-router.post("/departments", auth, superAdminAuth, async (req, res) => {
+router.post("/departments", permit("departments:manage"), async (req, res) => {
 
-  const { name } = req.body;
+  try {
 
-  if (!name) {
-    return res.status(400).json({ error: "Department name required" });
-  }
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: "Department name required" });
+    }
 
-  const exists = await Department.findOne({ name });
+    const exists = await Department.findOne({ name });
 
-  if (exists) {
-    return res.status(400).json({ error: "Department already exists" });
-  }
+    if (exists) {
+      return res.status(400).json({ error: "Department already exists" });
+    }
 
-  const dep = await Department.create({
-    name
-  });
+    const dep = await Department.create({
+      name
+    });
 
-  res.json({ ok: true, department: dep });
+    await audit(req, "department.create", {
+      target: { type: "department", id: dep.name, label: dep.name },
+      departments: [dep.name],
+      after: { name: dep.name }
+    });
+
+    res.json({ ok: true, department: dep });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 /* ===============================
    GET ALL DEPARTMENTS
 ================================ */
 
-router.get("/departments", auth, superAdminAuth, async (req, res) => {
+router.get("/departments", permit("departments:manage"), async (req, res) => {
+
+  try {
+
+    const deps = await Department.find()
+      .sort({ name: 1 })
+      .lean();
 
-  const deps = await Department.find()
-    .sort({ name: 1 })
-    .lean();
+    res.json({ items: deps });
 
-  res.json({ items: deps });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 /* ===============================
    CREATE ADMIN
 ================================ */
 
-router.post("/admins", auth, superAdminAuth, async (req, res) => {
+router.post("/admins", permit("admins:manage"), async (req, res) => {
 
-  const { name, email, password, department } = req.body;
+  try {
 
-  if (!name || !email || !password || !department) {
-    return res.status(400).json({ error: "All fields required" });
-  }
+    const { name, email, password, department } = req.body;
 
-  const exists = await Admin.findOne({ email });
+    if (!name || !email || !password || !department) {
+      return res.status(400).json({ error: "All fields required" });
+    }
 
-  if (exists) {
-    return res.status(400).json({ error: "Admin already exists" });
-  }
+    const exists = await Admin.findOne({ email });
 
-  const hash = await bcrypt.hash(password, 10);
+    if (exists) {
+      return res.status(400).json({ error: "Admin already exists" });
+    }
+
+    const hash = await bcrypt.hash(password, 10);
+
+    const admin = await Admin.create({
+      name,
+      email,
+      password: hash,
+      role: "admin",
+      department
+    });
 
-  const admin = await Admin.create({
-    name,
-    email,
-    password: hash,
-    role: "admin",
-    department
-  });
+    await audit(req, "admin.create", {
+      target: accountTarget("admin", admin),
+      departments: [admin.department],
+      after: summarize("admin", admin)
+    });
 
-  res.json({ ok: true, admin });
+    res.json({ ok: true, admin });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 /* ===============================
    GET ALL ADMINS + DEPARTMENTS
 ================================ */
 
-router.get("/admins", auth, superAdminAuth, async (req, res) => {
+router.get("/admins", permit("admins:manage"), async (req, res) => {
+
+  try {
+
+    const admins = await Admin.find({ role: "admin" })
+      .select("name email department twoFactor.enabled createdAt")
+      .sort({ createdAt: -1 })
+      .lean();
 
-  const admins = await Admin.find({ role: "admin" })
-    .select("name email department createdAt")
-    .sort({ createdAt: -1 })
-    .lean();
+    res.json({ items: admins });
 
-  res.json({ items: admins });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 /* ===============================
    GET ALL USERS
 ================================ */
 
-router.get("/users", auth, superAdminAuth, async (req, res) => {
+router.get("/users", permit("users:manage"), async (req, res) => {
+
+  try {
+
+    const users = await User.find()
+     .select("_id name email department approved createdAt")
+      .sort({ createdAt: -1 })
+      .lean();
 
-  const users = await User.find()
-   .select("_id name email department approved createdAt")
-    .sort({ createdAt: -1 })
-    .lean();
+    res.json({ items: users });
 
-  res.json({ items: users });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 /* ===============================
    APPROVE USER
 ================================ */
 
-router.put("/users/:id/approve", auth, async (req, res) => {
+router.put("/users/:id/approve", permit("users:approve"), async (req, res) => {
 
   try {
 
@@ -176,10 +288,18 @@ router.put("/users/:id/approve", auth, async (req, res) => {
       }
     }
 
+    const before = summarize("user", user);
+
     // ✅ Super admin can approve anyone
     user.approved = true;
     await user.save();
 
+    await audit(req, "user.approve", {
+      target: accountTarget("user", user),
+      departments: [user.department],
+      ...changes(before, summarize("user", user))
+    });
+
     res.json({ ok: true, user });
 
   } catch (err) {
@@ -187,4 +307,205 @@ router.put("/users/:id/approve", auth, async (req, res) => {
   }
 });
 
+/* ===============================
+   ACTIVATE / DEACTIVATE ACCOUNTS
+   { active: false } also ends every session
+================================ */
+
+async function setActive(Model, filter, req, res){
+
+  try {
+
+    if (typeof req.body.active !== "boolean") {
+      return res.status(400).json({ error: "active must be true or false" });
+    }
+
+    const account = await Model.findOne(filter);
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const type = Model.modelName.toLowerCase();
+    const before = summarize(type, account);
+
+    account.active = req.body.active;
+    await account.save();
+
+    await audit(req, `${type}.${account.active ? "activate" : "deactivate"}`, {
+      target: accountTarget(type, account),
+      departments: [account.department],
+      ...changes(before, summarize(type, account))
+    });
+
+    res.json({ ok: true, id: account._id, active: account.active });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+router.put("/admins/:id/active", permit("admins:manage"), (req, res) =>
+  setActive(Admin, { _id: req.params.id, role: "admin" }, req, res)
+);
+
+router.put("/users/:id/active", permit("users:manage"), (req, res) =>
+  setActive(User, { _id: req.params.id }, req, res)
+);
+
+/* ===============================
+   SESSIONS OF ANY ACCOUNT
+================================ */
+
+router.get("/accounts/:id/sessions", permit("users:manage"), async (req, res) => {
+
+  try {
+
+    const items = await activeSessions(req.params.id);
+    res.json({ items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete("/accounts/:id/sessions", permit("users:manage"), async (req, res) => {
+
+  try {
+
+    const result = await Session.revokeAll(req.params.id, "revoked_by_admin");
+
+    const account = await findAccount(req.params.id);
+
+    await audit(req, "account.revoke_sessions", {
+      target: account
+        ? accountTarget(account.role === "user" ? "user" : "admin", account)
+        : { type: "account", id: req.params.id },
+      departments: [account && account.department],
+      after: { revoked: result.modifiedCount }
+    });
+
+    res.json({ ok: true, revoked: result.modifiedCount });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   UNLOCK ACCOUNT
+   clears the lockout and the per-account
+   login counter (admins and users)
+================================ */
+
+router.put("/accounts/:id/unlock", permit("users:manage"), async (req, res) => {
+
+  try {
+
+    const account = await findAccount(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const Model = account.role === "user" ? User : Admin;
+
+    await Model.updateOne(
+      { _id: account._id },
+      { $set: { failedLogins: 0, lockedUntil: null } }
+    );
+
+    await reset(`login:account:${String(account.email).toLowerCase()}`);
+
+    await audit(req, "account.unlock", {
+      target: accountTarget(account.role === "user" ? "user" : "admin", account),
+      departments: [account.department]
+    });
+
+    res.json({ ok: true });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   SYSTEM SETTINGS
+================================ */
+
+router.get("/settings", permit("admins:manage"), async (req, res) => {
+
+  try {
+
+    res.json({ settings: await allSettings() });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   REQUIRE 2FA FOR ALL ADMINS
+   { required } - admins without 2FA
+   enroll at their next sign-in
+================================ */
+
+router.put("/settings/two-factor", permit("admins:manage"), async (req, res) => {
+
+  try {
+
+    if (typeof req.body.required !== "boolean") {
+      return res.status(400).json({ error: "required must be true or false" });
+    }
+
+    const before = await getSetting("twoFactorRequired");
+    const required = await setSetting("twoFactorRequired", req.body.required, req.user);
+
+    await audit(req, "settings.update", {
+      target: { type: "setting", id: "twoFactorRequired" },
+      ...changes({ twoFactorRequired: before }, { twoFactorRequired: required })
+    });
+
+    res.json({ ok: true, twoFactorRequired: required });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   RESET 2FA (LOST DEVICE)
+   the admin signs in with a password
+   again and is signed out everywhere
+================================ */
+
+router.delete("/admins/:id/2fa", permit("admins:manage"), async (req, res) => {
+
+  try {
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Admin not found" });
+    }
+
+    const admin = await Admin.findById(req.params.id).select("email department").lean();
+
+    if (!admin) {
+      return res.status(404).json({ error: "Admin not found" });
+    }
+
+    await clearTwoFactor(admin);
+    await Session.revokeAll(admin._id, "2fa_reset");
+
+    await audit(req, "admin.reset_2fa", {
+      target: accountTarget("admin", admin),
+      departments: [admin.department]
+    });
+
+    res.json({ ok: true });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,133 @@
+const express = require("express");
+
+const Synonym = require("../models/Synonym");
+
+const permit = require("../middleware/permit");
+
+const router = express.Router();
+
+// Lowercase, trimmed, de-duplicated list of strings
+function normalizeWords(list){
+  if (!Array.isArray(list)) return [];
+  return [...new Set(
+    list
+      .filter(w => typeof w === "string")
+      .map(w => w.toLowerCase().trim())
+      .filter(Boolean)
+  )];
+}
+
+router.use(permit("synonyms:manage"));
+
+/* ===============================
+   LIST SYNONYMS
+================================ */
+
+router.get("/", async (req, res) => {
+
+  try {
+
+    const items = await Synonym.find()
+      .sort({ term: 1 })
+      .lean();
+
+    res.json({ items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   CREATE SYNONYM ENTRY
+================================ */
+
+router.post("/", async (req, res) => {
+
+  try {
+
+    const { term } = req.body;
+    const synonyms = normalizeWords(req.body.synonyms);
+
+    if (typeof term !== "string" || !term.trim() || !synonyms.length) {
+      return res.status(400).json({ error: "Term and synonyms required" });
+    }
+
+    const exists = await Synonym.findOne({ term: term.toLowerCase().trim() });
+
+    if (exists) {
+      return res.status(400).json({ error: "Term already exists" });
+    }
+
+    const item = await Synonym.create({
+      term,
+      synonyms,
+      createdBy: req.user.id
+    });
+
+    res.json({ ok: true, item });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   UPDATE SYNONYM ENTRY
+================================ */
+
+router.put("/:id", async (req, res) => {
+
+  try {
+
+    const item = await Synonym.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    if (typeof req.body.term === "string" && req.body.term.trim()) {
+      item.term = req.body.term;
+    }
+
+    if (req.body.synonyms !== undefined) {
+      const synonyms = normalizeWords(req.body.synonyms);
+
+      if (!synonyms.length) {
+        return res.status(400).json({ error: "Synonyms required" });
+      }
+
+      item.synonyms = synonyms;
+    }
+
+    await item.save();
+
+    res.json({ ok: true, item });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   DELETE SYNONYM ENTRY
+================================ */
+
+router.delete("/:id", async (req, res) => {
+
+  try {
+
+    const item = await Synonym.findByIdAndDelete(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    res.json({ ok: true });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
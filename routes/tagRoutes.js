@@ -0,0 +1,169 @@
+const express = require("express");
+
+const Article = require("../models/Article");
+
+const permit = require("../middleware/permit");
+const { articleScope } = require("../utils/access");
+const { recordRevision, recordBaseline } = require("../utils/revisions");
+const { escapeRegex } = require("../utils/search");
+const { summarize, auditArticle } = require("../utils/audit");
+
+const router = express.Router();
+
+router.use(permit("articles:manage"));
+
+function tagParam(v){
+  return typeof v === "string" ? v.trim() : "";
+}
+
+// Articles whose tags the caller may change, trashed ones included
+function editScope(user){
+  if (user.role === "superadmin") return {};
+  return user.department ? { departments: user.department } : { _id: null };
+}
+
+/* ===============================
+   REPLACE TAGS ON EVERY ARTICLE
+   each article is saved with a revision,
+   so history, text index and facets agree
+================================ */
+
+async function replaceTags(req, action, from, to){
+
+  const user = req.user;
+  const articles = await Article.find({ ...editScope(user), tags: { $in: from } });
+
+  for (const article of articles) {
+
+    const before = summarize("article", article);
+    await recordBaseline(article);
+
+    const tags = (article.tags || []).filter(t => !from.includes(t));
+    if (to && !tags.includes(to)) tags.push(to);
+
+    article.tags = tags;
+    article.updatedBy = user.id;
+    await article.save();
+    await recordRevision(article, user, "update");
+    await auditArticle(req, action, before, article);
+  }
+
+  return articles.length;
+}
+
+/* ===============================
+   TAG STATISTICS
+   ?q=<prefix> narrows the list
+================================ */
+
+router.get("/", async (req, res) => {
+
+  try {
+
+    const match = articleScope(req.user);
+    const q = tagParam(req.query.q);
+
+    const items = await Article.aggregate([
+      { $match: match },
+      { $unwind: "$tags" },
+      ...(q ? [{ $match: { tags: new RegExp("^" + escapeRegex(q), "i") } }] : []),
+      { $group: {
+        _id: "$tags",
+        count: { $sum: 1 },
+        published: { $sum: { $cond: [{ $eq: ["$status", "published"] }, 1, 0] } },
+        lastUsed: { $max: "$updatedAt" }
+      } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    res.json({
+      items: items.map(t => ({
+        tag: t._id,
+        count: t.count,
+        published: t.published,
+        lastUsed: t.lastUsed
+      }))
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   RENAME TAG
+   { from, to }
+================================ */
+
+router.post("/rename", async (req, res) => {
+
+  try {
+
+    const from = tagParam(req.body.from);
+    const to = tagParam(req.body.to);
+
+    if (!from || !to) {
+      return res.status(400).json({ error: "from and to required" });
+    }
+
+    if (from === to) {
+      return res.status(400).json({ error: "New name is the same" });
+    }
+
+    const updated = await replaceTags(req, "tag.rename", [from], to);
+
+    res.json({ ok: true, updated });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   MERGE TAGS
+   { tags: ["hr", "HR"], into: "Human Resources" }
+================================ */
+
+router.post("/merge", async (req, res) => {
+
+  try {
+
+    const into = tagParam(req.body.into);
+    const tags = [].concat(req.body.tags || [])
+      .map(tagParam)
+      .filter(t => t && t !== into);
+
+    if (!into || !tags.length) {
+      return res.status(400).json({ error: "tags and into required" });
+    }
+
+    const updated = await replaceTags(req, "tag.merge", [...new Set(tags)], into);
+
+    res.json({ ok: true, updated });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   DELETE TAG EVERYWHERE
+================================ */
+
+router.delete("/:tag", async (req, res) => {
+
+  try {
+
+    const tag = tagParam(req.params.tag);
+    if (!tag) return res.status(400).json({ error: "Tag required" });
+
+    const updated = await replaceTags(req, "tag.delete", [tag]);
+
+    res.json({ ok: true, updated });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
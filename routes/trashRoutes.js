@@ -0,0 +1,117 @@
+const express = require("express");
+
+const Article = require("../models/Article");
+
+const permit = require("../middleware/permit");
+const { canEditArticle } = require("../utils/access");
+const { RETENTION_DAYS, purgeArticle } = require("../utils/trash");
+const { summarize, auditArticle } = require("../utils/audit");
+
+const router = express.Router();
+
+router.use(permit("articles:manage"));
+
+async function findTrashed(req, res){
+
+  const article = await Article.findOne({
+    articleNumber: req.params.kb,
+    deletedAt: { $ne: null }
+  });
+
+  if (!article) {
+    res.status(404).json({ error: "Not in trash" });
+    return null;
+  }
+
+  if (!canEditArticle(req.user, article)) {
+    res.status(403).json({ error: "Not allowed" });
+    return null;
+  }
+
+  return article;
+}
+
+/* ===============================
+   LIST TRASHED ARTICLES
+================================ */
+
+router.get("/", async (req, res) => {
+
+  try {
+
+    const filter = { deletedAt: { $ne: null } };
+
+    if (req.user.role === "admin") {
+      filter.departments = req.user.department;
+    }
+
+    const items = await Article.find(filter)
+      .select("articleNumber title category departments status deletedAt deletedBy")
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    const day = 24 * 60 * 60 * 1000;
+
+    res.json({
+      retentionDays: RETENTION_DAYS,
+      items: items.map(a => ({
+        ...a,
+        purgeAfter: new Date(new Date(a.deletedAt).getTime() + RETENTION_DAYS * day)
+      }))
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   RESTORE (SAME KB NUMBER)
+================================ */
+
+router.post("/:kb/restore", async (req, res) => {
+
+  try {
+
+    const article = await findTrashed(req, res);
+    if (!article) return;
+
+    const before = summarize("article", article);
+
+    article.deletedAt = null;
+    article.deletedBy = undefined;
+    article.updatedBy = req.user.id;
+    await article.save();
+
+    await auditArticle(req, "article.restore", before, article);
+
+    res.json({ ok: true, item: article });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   PURGE PERMANENTLY
+================================ */
+
+router.delete("/:kb", async (req, res) => {
+
+  try {
+
+    const article = await findTrashed(req, res);
+    if (!article) return;
+
+    await purgeArticle(article.articleNumber);
+
+    await auditArticle(req, "article.purge", article, null);
+
+    res.json({ ok: true });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+
+const permit = require("../middleware/permit");
+const { getSetting } = require("../utils/settings");
+const {
+  findWithSecrets, beginSetup, confirmSetup,
+  regenerateRecoveryCodes, clearTwoFactor, verifySecondFactor
+} = require("../utils/twoFactor");
+
+const router = express.Router();
+
+// Admins and the superadmin manage their own second factor
+router.use(permit("account:2fa"));
+
+/* ===============================
+   MY 2FA STATUS
+================================ */
+
+router.get("/", async (req, res) => {
+
+  try {
+
+    const admin = await findWithSecrets(req.user.id);
+
+    if (!admin) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    res.json({
+      enabled: admin.twoFactor.enabled,
+      enabledAt: admin.twoFactor.enabledAt,
+      required: await getSetting("twoFactorRequired"),
+      recoveryCodesLeft: (admin.twoFactor.recoveryCodes || []).length
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   START ENROLLMENT
+   returns the secret and an otpauth://
+   URL for the QR code
+================================ */
+
+router.post("/setup", async (req, res) => {
+
+  try {
+
+    const admin = await findWithSecrets(req.user.id);
+
+    if (!admin) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    if (admin.twoFactor.enabled) {
+      return res.status(409).json({ error: "Two-factor authentication is already on" });
+    }
+
+    res.json({ ok: true, ...await beginSetup(admin) });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   CONFIRM ENROLLMENT
+   { code } from the app; the recovery
+   codes are only ever shown here
+================================ */
+
+router.post("/enable", async (req, res) => {
+
+  try {
+
+    const admin = await findWithSecrets(req.user.id);
+
+    if (!admin) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    if (admin.twoFactor.enabled) {
+      return res.status(409).json({ error: "Two-factor authentication is already on" });
+    }
+
+    if (!admin.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: "Start the setup first" });
+    }
+
+    const recoveryCodes = await confirmSetup(admin, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    res.json({ ok: true, recoveryCodes });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   NEW RECOVERY CODES
+   { code } - the old codes stop working
+================================ */
+
+router.post("/recovery-codes", async (req, res) => {
+
+  try {
+
+    const admin = await findWithSecrets(req.user.id);
+
+    if (!admin || !admin.twoFactor.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is off" });
+    }
+
+    if (!await verifySecondFactor(admin, { code: req.body.code })) {
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    res.json({ ok: true, recoveryCodes: await regenerateRecoveryCodes(admin) });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   TURN 2FA OFF
+   { password, code | recoveryCode };
+   not while the superadmin requires it
+================================ */
+
+router.post("/disable", async (req, res) => {
+
+  try {
+
+    const admin = await findWithSecrets(req.user.id);
+
+    if (!admin || !admin.twoFactor.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is off" });
+    }
+
+    if (await getSetting("twoFactorRequired")) {
+      return res.status(403).json({ error: "Two-factor authentication is required for admins" });
+    }
+
+    const match = await bcrypt.compare(String(req.body.password || ""), admin.password);
+
+    if (!match || !await verifySecondFactor(admin, req.body)) {
+      return res.status(400).json({ error: "Invalid password or code" });
+    }
+
+    await clearTwoFactor(admin);
+
+    res.json({ ok: true });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,29 +1,19 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
-const nodemailer = require("nodemailer");
 const User = require("../models/User");
+const { transporter } = require("../utils/mailer");
+const { isActive, startSession } = require("../utils/sessions");
+const { isLocked, recordFailure, recordSuccess } = require("../utils/lockout");
+const { loginLimits, mailLimits } = require("../middleware/throttles");
 
 const router = express.Router();
 
-/* ============================
-   EMAIL TRANSPORTER (REUSE)
-============================ */
-
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
-});
-
 /* ============================
    REGISTER USER + VERIFY EMAIL
 ============================ */
 
-router.post("/register", async (req, res) => {
+router.post("/register", mailLimits, async (req, res) => {
   try {
     const { name, email, password } = req.body;
 
@@ -71,7 +61,7 @@ router.post("/register", async (req, res) => {
    LOGIN USER
 ============================ */
 
-router.post("/login", async (req, res) => {
+router.post("/login", loginLimits, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -84,19 +74,26 @@ router.post("/login", async (req, res) => {
       return res.status(403).json({ message: "Please verify your email first" });
     }
 
+    if (isLocked(user)) {
+      return res.status(423).json({ message: "Account locked, try again later", lockedUntil: user.lockedUntil });
+    }
+
     const match = await bcrypt.compare(password, user.password);
     if (!match) {
+      await recordFailure(user);
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET || "secret123",
-      { expiresIn: "7d" }
-    );
+    await recordSuccess(user);
+
+    if (!isActive(user)) {
+      return res.status(403).json({ message: "Account is deactivated" });
+    }
+
+    const session = await startSession(user, "User", req);
 
     res.json({
-      token,
+      ...session,
       user: {
         id: user._id,
         name: user.name,
@@ -136,7 +133,7 @@ router.get("/verify/:token", async (req, res) => {
    FORGOT PASSWORD
 ============================ */
 
-router.post("/forgot-password", async (req, res) => {
+router.post("/forgot-password", mailLimits, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -0,0 +1,169 @@
+const express = require("express");
+
+const Article = require("../models/Article");
+
+const permit = require("../middleware/permit");
+const { recordRevision, recordBaseline } = require("../utils/revisions");
+const { canTransition, statusChanges } = require("../utils/workflow");
+const { canEditArticle } = require("../utils/access");
+const { summarize, auditArticle } = require("../utils/audit");
+
+const router = express.Router();
+
+/* ===============================
+   MOVE ARTICLE TO NEW STATUS
+================================ */
+
+async function transition(req, res, to, action){
+
+  const article = await Article.findOne({ articleNumber: req.params.kb, deletedAt: null });
+
+  if (!article) {
+    return res.status(404).json({ error: "Article not found" });
+  }
+
+  // Department admins only act on their own department's articles
+  if (!canEditArticle(req.user, article)) {
+    return res.status(403).json({ error: "Not allowed" });
+  }
+
+  if (!canTransition(article.status, to)) {
+    return res.status(400).json({
+      error: `Cannot move article from ${article.status} to ${to}`
+    });
+  }
+
+  const before = summarize("article", article);
+
+  await recordBaseline(article);
+  article.set(statusChanges(article.status, to, req.user, req.body.comment));
+  article.status = to;
+  article.updatedBy = req.user.id;
+
+  await article.save();
+  await recordRevision(article, req.user, "update");
+  await auditArticle(req, action, before, article);
+
+  res.json({ ok: true, item: article });
+}
+
+/* ===============================
+   SUBMIT FOR REVIEW
+================================ */
+
+router.post("/article/:kb/submit", permit("articles:write"), async (req, res) => {
+
+  try {
+
+    await transition(req, res, "in_review", "article.submit");
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   APPROVE (PUBLISH)
+================================ */
+
+router.post("/article/:kb/approve", permit("articles:review"), async (req, res) => {
+
+  try {
+
+    await transition(req, res, "published", "article.approve");
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   REJECT (BACK TO DRAFT)
+================================ */
+
+router.post("/article/:kb/reject", permit("articles:review"), async (req, res) => {
+
+  try {
+
+    if (!req.body.comment) {
+      return res.status(400).json({ error: "Comment required" });
+    }
+
+    const article = await Article.findOne({ articleNumber: req.params.kb }).lean();
+
+    // Reject only makes sense for articles waiting in the queue
+    if (article && article.status !== "in_review") {
+      return res.status(400).json({ error: "Article is not in review" });
+    }
+
+    await transition(req, res, "draft", "article.reject");
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   ARCHIVE
+================================ */
+
+router.post("/article/:kb/archive", permit("articles:review"), async (req, res) => {
+
+  try {
+
+    await transition(req, res, "archived", "article.archive");
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   REOPEN AS DRAFT
+================================ */
+
+router.post("/article/:kb/reopen", permit("articles:review"), async (req, res) => {
+
+  try {
+
+    const article = await Article.findOne({ articleNumber: req.params.kb }).lean();
+
+    // Articles in review go back to draft through /reject, with a comment
+    if (article && !["published", "archived"].includes(article.status)) {
+      return res.status(400).json({ error: "Only published or archived articles can be reopened" });
+    }
+
+    await transition(req, res, "draft", "article.reopen");
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ===============================
+   REVIEW QUEUE (ADMINS)
+================================ */
+
+router.get("/review-queue", permit("articles:review"), async (req, res) => {
+
+  try {
+
+    const filter = { status: "in_review", deletedAt: null };
+
+    if (req.user.role === "admin") {
+      filter.departments = req.user.department;
+    }
+
+    const items = await Article.find(filter)
+      .select("articleNumber title summary category departments submittedBy submittedAt")
+      .sort({ submittedAt: 1 })
+      .lean();
+
+    res.json({ items });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
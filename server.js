@@ -2,27 +2,60 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const mongoose = require("mongoose");
-const multer = require("multer");
-const mammoth = require("mammoth");
-const pdfParse = require("pdf-parse");
-const fs = require("fs");
-const Counter = require("./models/Counter");
+const Article = require("./models/Article");
+const { makeSummary, generateNextKB } = require("./utils/articles");
+const { htmlToText } = require("./utils/html");
+const { duplicateMode, resolveDuplicate } = require("./utils/duplicates");
+const { recordRevision, recordBaseline } = require("./utils/revisions");
+const { summarize, audit, articleTarget, auditArticle } = require("./utils/audit");
+const {
+  articleScope, canViewArticle, canEditArticle, departmentFields
+} = require("./utils/access");
 
 const adminRoutes = require("./routes/adminRoutes");
 const userRoutes = require("./routes/userRoutes");
-const auth = require("./middleware/auth");
+const permit = require("./middleware/permit");
+const { can } = require("./utils/permissions");
 const superAdminRoutes = require("./routes/superAdminRoutes");
+const revisionRoutes = require("./routes/revisionRoutes");
+const workflowRoutes = require("./routes/workflowRoutes");
+const searchRoutes = require("./routes/searchRoutes");
+const synonymRoutes = require("./routes/synonymRoutes");
+const analyticsRoutes = require("./routes/analyticsRoutes");
+const linkRoutes = require("./routes/linkRoutes");
+const feedbackRoutes = require("./routes/feedbackRoutes");
+const trashRoutes = require("./routes/trashRoutes");
+const importRoutes = require("./routes/importRoutes");
+const attachmentRoutes = require("./routes/attachmentRoutes");
+const importProfileRoutes = require("./routes/importProfileRoutes");
+const duplicateRoutes = require("./routes/duplicateRoutes");
+const importJobRoutes = require("./routes/importJobRoutes");
+const bulkRoutes = require("./routes/bulkRoutes");
+const categoryRoutes = require("./routes/categoryRoutes");
+const tagRoutes = require("./routes/tagRoutes");
+const reviewRoutes = require("./routes/reviewRoutes");
+const ownerRoutes = require("./routes/ownerRoutes");
+const sessionRoutes = require("./routes/sessionRoutes");
+const twoFactorRoutes = require("./routes/twoFactorRoutes");
+const auditRoutes = require("./routes/auditRoutes");
+const { purgeExpiredTrash } = require("./utils/trash");
+const { startImportWorker } = require("./utils/importJobs");
+const { resolveCategory } = require("./utils/categories");
+const {
+  scheduleFields, archiveExpired, sendReviewReminders
+} = require("./utils/schedule");
 
 const app = express();
+
+// Behind a proxy, per-IP login limits need the real client address
+if(process.env.TRUST_PROXY){
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(cors());
 app.use(express.json({ limit: "20mb" }));
 
-/* ===============================
-   UPLOAD SETUP
-================================ */
-if (!fs.existsSync("uploads")) fs.mkdirSync("uploads");
-const upload = multer({ dest: "uploads/" });
-
 /* ===============================
    DB CONNECT
 ================================ */
@@ -32,281 +65,310 @@ async function connectDB() {
 }
 
 /* ===============================
-   ARTICLE MODEL
+   ROUTES
 ================================ */
-const articleSchema = new mongoose.Schema({
-  articleNumber: { type: String, unique: true },
-  title: String,
-  summary: String,
-  content: String,
-  category: { type: String, default: "General" }, // NEW
-  tags: [String],
-  status: { type: String, default: "published" }
-},{ timestamps:true });
-
-articleSchema.index({
-  title:"text",
-  summary:"text",
-  content:"text",
-  tags:"text"
+
+app.get("/",(req,res)=>{
+  res.json({ ok:true, message:"Knowledge Hub running ✅"});
 });
 
-const Article = mongoose.model("Article", articleSchema);
+app.use("/api/admin", adminRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/superadmin", superAdminRoutes);
+app.use("/api/auth", sessionRoutes);
+app.use("/api/auth/2fa", twoFactorRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/kb", revisionRoutes);
+app.use("/api/kb", workflowRoutes);
+app.use("/api/kb", searchRoutes);
+app.use("/api/kb/synonyms", synonymRoutes);
+app.use("/api/kb/analytics", analyticsRoutes);
+app.use("/api/kb/links", linkRoutes);
+app.use("/api/kb", feedbackRoutes);
+app.use("/api/kb/trash", trashRoutes);
+app.use("/api/kb", importRoutes);
+app.use("/api/kb/attachments", attachmentRoutes);
+app.use("/api/kb/import-profiles", importProfileRoutes);
+app.use("/api/kb/duplicates", duplicateRoutes);
+app.use("/api/kb/import-jobs", importJobRoutes);
+app.use("/api/kb/bulk", bulkRoutes);
+app.use("/api/kb/categories", categoryRoutes);
+app.use("/api/kb/tags", tagRoutes);
+app.use("/api/kb/reviews", reviewRoutes);
+app.use("/api/kb/owners", ownerRoutes);
 
 /* ===============================
-   HELPERS
+   GET ALL ARTICLES (ADMIN)
 ================================ */
 
-function makeSummary(content){
-  const t = String(content||"").replace(/\s+/g," ").trim();
-  return t.length>140 ? t.slice(0,140)+"..." : t;
-}
-
-// AUTO NEXT KB NUMBER
-async function generateNextKB(){
+// ?owner=&createdBy=&updatedBy= take an account id or "me"
+app.get("/api/kb/articles", permit("articles:read"), async(req,res)=>{
+  try {
 
-  const counter = await Counter.findOneAndUpdate(
-    { name: "kb" },
-    { $inc: { value: 1 } },
-    { new: true, upsert: true }
-  );
+    const filter = articleScope(req.user);
 
-  return "KB-" + String(counter.value).padStart(6, "0");
-}
+    for(const f of ["owner", "createdBy", "updatedBy"]){
+      const v = req.query[f];
+      if(typeof v !== "string" || !v) continue;
 
-// OLD PDF / TEXT SPLIT
-function splitByTaskType(text){
-  const parts = text.split(/(?:^|\n)\s*(?:\d+\.\s*)?Task type:\s*/gi);
+      const id = v === "me" ? req.user.id : v;
+      if(!mongoose.isValidObjectId(id)){
+        return res.status(400).json({ error:`Invalid ${f}` });
+      }
+      filter[f] = id;
+    }
 
-  return parts.slice(1).map(p=>{
-    const lines = p.trim().split("\n");
+    const items = await Article.find(filter).sort({ articleNumber:1 }).lean();
+    res.json({ items });
 
-    return {
-      title: lines[0] || "Untitled",
-      content: lines.slice(1).join("\n")
-    };
-  });
-}
+  } catch(err){
+    res.status(500).json({ error:err.message });
+  }
+});
 
-// NEW WORD HEADING SPLIT
-function splitByHeadings(html){
+/* ===============================
+   GET SINGLE ARTICLE
+================================ */
 
-  const parts = html.split(/<h1[^>]*>/i).slice(1);
+app.get("/api/kb/article/:kb", permit("articles:read"), async(req,res)=>{
+  try {
 
-  return parts.map(block => {
+    const item = await Article.findOne({ articleNumber:req.params.kb }).lean();
+    if(!item || !canViewArticle(req.user, item)){
+      return res.status(404).json({ error:"Not found" });
+    }
 
-    const endTitle = block.indexOf("</h1>");
+    // Backlinks: visible articles that reference this one
+    item.linkedFrom = await Article.find({
+      links: item.articleNumber,
+      ...articleScope(req.user)
+    })
+      .select("articleNumber title status")
+      .sort({ articleNumber:1 })
+      .lean();
 
-    const title = block
-      .slice(0, endTitle)
-      .replace(/<[^>]+>/g,"")
-      .trim();
+    res.json(item);
 
-    const body = block
-      .slice(endTitle + 5)
-      .replace(/<[^>]+>/g,"")
-      .trim();
+  } catch(err){
+    res.status(500).json({ error:err.message });
+  }
+});
 
-    return {
-      title: title || "Untitled",
-      content: body
-    };
-  });
-}
-  
 /* ===============================
-   ROUTES
+   CREATE ARTICLE (AUTO KB)
 ================================ */
 
-app.get("/",(req,res)=>{
-  res.json({ ok:true, message:"Knowledge Hub running ✅"});
-});
+app.post("/api/kb/article", permit("articles:write"), async(req,res)=>{
+  try {
 
-app.use("/api/admin", adminRoutes);
-app.use("/api/users", userRoutes);
-app.use("/api/superadmin", superAdminRoutes);
-/* ===============================
-   SEARCH
-================================ */
+    const {
+      title, summary, content, contentHtml, tags, category, departments, orgWide
+    } = req.body;
 
-app.get("/api/kb/search", async(req,res)=>{
-  const q = req.query.q || "";
-  if(!q) return res.json({ items:[] });
+    if(!title) return res.status(400).json({ error:"Title required" });
 
-  const items = await Article.find({
-    status:"published",
-    $or:[
-      { articleNumber:new RegExp(q,"i") },
-      { $text:{ $search:q } }
-    ]
-  }).limit(50).lean();
+    const scope = await departmentFields(req.user, departments, orgWide);
+    if(scope.error) return res.status(403).json({ error:scope.error });
 
-  res.json({ items });
-});
+    // Category by id or path, e.g. "hr/onboarding"; General when omitted
+    const filed = await resolveCategory(category, req.user);
+    if(filed.error) return res.status(400).json({ error:filed.error });
 
-/* ===============================
-   GET ALL ARTICLES (ADMIN)
-================================ */
+    if(req.body.owner !== undefined && !can(req.user, "articles:manage")){
+      return res.status(403).json({ error:"Only admins can assign owners" });
+    }
 
-app.get("/api/kb/articles", async(req,res)=>{
-  const items = await Article.find().sort({ articleNumber:1 }).lean();
-  res.json({ items });
-});
+    // publishAt, expireAt, reviewBy, reviewInterval, owner
+    const schedule = await scheduleFields(req.body, req.user);
+    if(schedule.error) return res.status(schedule.status || 400).json({ error:schedule.error });
 
-/* ===============================
-   GET SINGLE ARTICLE
-================================ */
+    const text = content || htmlToText(contentHtml);
 
-app.get("/api/kb/article/:kb", async(req,res)=>{
-  const item = await Article.findOne({ articleNumber:req.params.kb }).lean();
-  if(!item) return res.status(404).json({ error:"Not found" });
-  res.json(item);
-});
+    // onDuplicate=flag|skip|update|force, see utils/duplicates.js
+    const dup = await resolveDuplicate(
+      { title, content:text, html:contentHtml },
+      req.user,
+      duplicateMode(req.body.onDuplicate)
+    );
 
-/* ===============================
-   CREATE ARTICLE (AUTO KB)
-================================ */
+    if(dup && dup.action === "flagged"){
+      return res.status(409).json({
+        error: dup.error || "Possible duplicate of an existing article",
+        duplicates: dup.matches
+      });
+    }
 
-app.post("/api/kb/article", auth, async(req,res)=>{
-  const { title, summary, content, tags, status, category } = req.body;
+    if(dup && dup.action === "updated"){
+      const existing = await Article.findOne({ articleNumber:dup.articleNumber })
+        .select("articleNumber title departments")
+        .lean();
 
-  if(!title) return res.status(400).json({ error:"Title required" });
+      await audit(req, "article.update", {
+        target: articleTarget(existing),
+        departments: existing.departments,
+        after: { content:"replaced by duplicate" }
+      });
+    }
 
-  const kb = await generateNextKB();
+    if(dup){
+      return res.json({
+        ok:true,
+        [dup.action]:true,
+        articleNumber: dup.articleNumber,
+        duplicates: dup.matches
+      });
+    }
 
- const doc = await Article.create({
-  articleNumber: kb,
-  title,
-  summary: summary || makeSummary(content),
-  content,
-  category: category || "General",
-  tags: tags || [],
-  status: status || "published"
-});
+    const kb = await generateNextKB();
 
-  res.json({ ok:true, item:doc });
+    const doc = await Article.create({
+      articleNumber: kb,
+      title,
+      summary: summary || makeSummary(text),
+      content,
+      contentHtml,
+      category: filed.category,
+      categoryId: filed.categoryId,
+      tags: tags || [],
+      status: "draft",
+      departments: scope.departments,
+      orgWide: scope.orgWide,
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+      owner: req.user.id,
+      ...schedule.fields
+    });
+
+    await recordRevision(doc, req.user, "create");
+
+    await auditArticle(req, "article.create", null, doc);
+
+    res.json({ ok:true, item:doc });
+
+  } catch(err){
+    res.status(500).json({ error:err.message });
+  }
 });
 
 /* ===============================
    UPDATE
 ================================ */
 
-app.put("/api/kb/article/:kb", auth, async(req,res)=>{
-  const updated = await Article.findOneAndUpdate(
-    { articleNumber:req.params.kb },
-    { $set:req.body },
-    { new:true }
-  );
+// Everything else (status and review fields, KB number, links,
+// fingerprints, trash and authorship) is kept up to date elsewhere
+const EDITABLE_FIELDS = [
+  "title", "summary", "content", "contentHtml", "category", "tags",
+  "departments", "orgWide", "owner",
+  "publishAt", "expireAt", "reviewBy", "reviewInterval"
+];
 
-  res.json({ ok:true, item:updated });
-});
+app.put("/api/kb/article/:kb", permit("articles:write"), async(req,res)=>{
+  try {
 
-/* ===============================
-   DELETE
-================================ */
+    const changes = {};
+    for(const f of EDITABLE_FIELDS){
+      if(req.body[f] !== undefined) changes[f] = req.body[f];
+    }
 
-app.delete("/api/kb/article/:kb", auth, async(req,res)=>{
-  await Article.findOneAndDelete({ articleNumber:req.params.kb });
-  res.json({ ok:true });
-});
+    const article = await Article.findOne({ articleNumber:req.params.kb, deletedAt:null });
 
-/* ===============================
-   IMPORT SOP TEXT
-================================ */
+    if(!article) return res.status(404).json({ error:"Not found" });
+    if(!canEditArticle(req.user, article)){
+      return res.status(403).json({ error:"Not allowed" });
+    }
 
-app.post("/api/kb/import-text", auth, async(req,res)=>{
-  const { text } = req.body;
-  if(!text) return res.status(400).json({ error:"Text required" });
+    if(changes.departments !== undefined || changes.orgWide !== undefined){
+      const scope = await departmentFields(
+        req.user,
+        changes.departments ?? article.departments,
+        changes.orgWide ?? article.orgWide
+      );
+      if(scope.error) return res.status(403).json({ error:scope.error });
+      Object.assign(changes, scope);
+    }
 
-  const sections = splitByTaskType(text);
+    if(changes.category !== undefined){
+      const filed = await resolveCategory(changes.category, req.user);
+      if(filed.error) return res.status(400).json({ error:filed.error });
+      Object.assign(changes, filed);
+    }
 
-  let created=0;
+    if(changes.owner !== undefined && !can(req.user, "articles:manage")){
+      return res.status(403).json({ error:"Only admins can assign owners" });
+    }
 
-  for(const sec of sections){
-    const kb = await generateNextKB();
-    await Article.create({
-  articleNumber: kb,
-  title: sec.title,
-  summary: makeSummary(sec.content),
-  content: sec.content,
-  category: "General",
-  tags:["bulk"],
-  status:"published"
-});
-    created++;
-  }
+    const schedule = await scheduleFields(changes, req.user, article);
+    if(schedule.error) return res.status(schedule.status || 400).json({ error:schedule.error });
+    Object.assign(changes, schedule.fields, { updatedBy:req.user.id });
 
-  res.json({ ok:true, created });
-});
+    // Reviewers may correct live articles; anyone else's content edit
+    // takes a published article back to draft until it is approved again
+    const contentEdited = ["title", "summary", "content", "contentHtml"]
+      .some(f => changes[f] !== undefined && changes[f] !== article[f]);
 
-/* ===============================
-   UPLOAD WORD / PDF
-================================ */
+    if(article.status === "published" && contentEdited && !can(req.user, "articles:review")){
+      changes.status = "draft";
+    }
 
-app.post("/api/kb/upload", auth, upload.single("file"), async(req,res)=>{
-  const { mode } = req.body;
-  const file = req.file;
+    const before = summarize("article", article);
 
-  if(!file) return res.status(400).json({ error:"No file" });
+    await recordBaseline(article);
+    article.set(changes);
+    await article.save();
 
-  let text="";
+    await recordRevision(article, req.user, "update");
 
- if(file.originalname.endsWith(".docx")){
-  const r = await mammoth.convertToHtml({ path: file.path });
-  text = r.value;
-}
+    // Content edits are in the revision history; the log keeps metadata
+    await auditArticle(req, "article.update", before, article);
+
+    res.json({ ok:true, item:article });
 
-  if(file.originalname.endsWith(".pdf")){
-    const buf = fs.readFileSync(file.path);
-    const pdf = await pdfParse(buf);
-    text = pdf.text;
+  } catch(err){
+    res.status(500).json({ error:err.message });
   }
+});
 
-  fs.unlinkSync(file.path);
+/* ===============================
+   DELETE (MOVE TO TRASH)
+================================ */
 
-  if(!text.trim()) return res.status(400).json({ error:"No text extracted" });
+app.delete("/api/kb/article/:kb", permit("articles:write"), async(req,res)=>{
+  try {
 
-  let created=0;
+    const article = await Article.findOne({ articleNumber:req.params.kb, deletedAt:null });
 
-  // SINGLE
-  if(mode==="single"){
-    const kb = await generateNextKB();
-   await Article.create({
-  articleNumber: kb,
-  title: file.originalname,
-  summary: makeSummary(text),
-  content:text,
-  category: "General",
-  tags:["upload"]
-});
-    created=1;
-  }
+    if(!article) return res.status(404).json({ error:"Not found" });
+    if(!canEditArticle(req.user, article)){
+      return res.status(403).json({ error:"Not allowed" });
+    }
 
-  // SPLIT
-  else{
-    let sections = [];
+    // Warn before orphaning links from other articles; ?force=true deletes anyway
+    const linkedFrom = await Article.find({ links: article.articleNumber, deletedAt: null })
+      .select("articleNumber")
+      .lean();
 
-if(file.originalname.endsWith(".docx")){
-   sections = splitByHeadings(text);
-} else {
-   sections = splitByTaskType(text);
-}
-    for(const sec of sections){
-      const kb = await generateNextKB();
-     await Article.create({
-  articleNumber: kb,
-  title: sec.title,
-  summary: makeSummary(sec.content),
-  content: sec.content,
-  category: "General",
-  tags:["upload"]
-});
-      created++;
+    if(linkedFrom.length && req.query.force !== "true"){
+      return res.status(409).json({
+        error:"Article is referenced by other articles",
+        linkedFrom
+      });
     }
-  }
 
-  res.json({ ok:true, created });
+    const before = summarize("article", article);
+
+    article.deletedAt = new Date();
+    article.deletedBy = req.user.id;
+    await article.save();
+
+    await auditArticle(req, "article.delete", before, article);
+
+    res.json({ ok:true, trashed:true, orphanedLinks: linkedFrom.map(a => a.articleNumber) });
+
+  } catch(err){
+    res.status(500).json({ error:err.message });
+  }
 });
+
 /* ===============================
    ONE TIME SUPER ADMIN SETUP
 ================================ */
@@ -316,38 +378,86 @@ const Admin = require("./models/Admin");
 
 app.post("/setup-superadmin", async (req, res) => {
 
-  const { name, email, password } = req.body;
+  try {
 
-  if (!name || !email || !password) {
-    return res.status(400).json({ error: "All fields required" });
-  }
+    const { name, email, password } = req.body;
 
-  // Check if super admin already exists
-  const exists = await Admin.findOne({ role: "superadmin" });
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: "All fields required" });
+    }
 
-  if (exists) {
-    return res.status(400).json({ error: "Super Admin already created" });
-  }
+    // Check if super admin already exists
+    const exists = await Admin.findOne({ role: "superadmin" });
 
-  const hash = await bcrypt.hash(password, 10);
-
-  const superAdmin = await Admin.create({
-    name,
-    email,
-    password: hash,
-    role: "superadmin"
-  });
-
-  res.json({
-    ok: true,
-    message: "Super Admin created successfully",
-    admin: {
-      email: superAdmin.email,
-      role: superAdmin.role
+    if (exists) {
+      return res.status(400).json({ error: "Super Admin already created" });
     }
-  });
+
+    const hash = await bcrypt.hash(password, 10);
+
+    const superAdmin = await Admin.create({
+      name,
+      email,
+      password: hash,
+      role: "superadmin"
+    });
+
+    await audit(req, "admin.create", {
+      actor: superAdmin,
+      target: { type:"admin", id:superAdmin._id, label:superAdmin.email },
+      after: summarize("admin", superAdmin)
+    });
+
+    res.json({
+      ok: true,
+      message: "Super Admin created successfully",
+      admin: {
+        email: superAdmin.email,
+        role: superAdmin.role
+      }
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
+/* ===============================
+   SCHEDULED JOBS
+================================ */
+
+const HOUR = 60 * 60 * 1000;
+
+function startSchedulers(){
+
+  // Auto purge trash past its retention period
+  const purge = ()=>purgeExpiredTrash()
+    .then(n=>{ if(n) console.log(`🗑️ Purged ${n} trashed article(s)`); })
+    .catch(err=>console.error("Trash purge failed:", err.message));
+
+  purge();
+  setInterval(purge, HOUR);
+
+  // Archive expired articles and remind owners of overdue reviews
+  const lifecycle = async ()=>{
+    try {
+      const archived = await archiveExpired();
+      if(archived) console.log(`📦 Archived ${archived} expired article(s)`);
+
+      const reminded = await sendReviewReminders();
+      if(reminded) console.log(`📧 Sent ${reminded} review reminder(s)`);
+    } catch(err){
+      console.error("Article lifecycle job failed:", err.message);
+    }
+  };
+
+  lifecycle();
+  setInterval(lifecycle, HOUR);
+
+  startImportWorker()
+    .catch(err=>console.error("Import worker failed to start:", err.message));
+}
+
 /* ===============================
    START
 ================================ */
@@ -356,4 +466,5 @@ const PORT = process.env.PORT || 3000;
 
 connectDB().then(()=>{
   app.listen(PORT, ()=>console.log("✅ Server running"));
+  startSchedulers();
 });
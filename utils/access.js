@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+const Department = require("../models/Department");
+
+/* ===============================
+   DEPARTMENT SCOPED ACCESS
+================================ */
+
+// Mongo filter for the articles a caller may see. Trashed articles
+// are never included. Articles saved before departments existed
+// have no orgWide flag and stay visible to everyone. Drafts, articles
+// in review, archived ones and published ones outside their
+// publishAt/expireAt window only show to those who may edit them
+// (see canEditArticle). Also used in aggregations, so ids are cast here.
+function articleScope(user){
+
+  if(user.role === "superadmin") return { deletedAt: null };
+
+  const scope = [{ orgWide: { $ne: false } }];
+
+  if(user.department){
+    scope.push({ departments: user.department });
+  }
+
+  const visible = [{ status: "published", $or: scope, ...liveFilter() }];
+
+  if(mongoose.isValidObjectId(user.id)){
+    visible.push({ owner: new mongoose.Types.ObjectId(String(user.id)) });
+  }
+
+  if(user.role === "admin" && user.department){
+    visible.push({ departments: user.department });
+  }
+
+  return { deletedAt: null, $or: visible };
+}
+
+// Articles inside their publishAt/expireAt window (either may be empty)
+function liveFilter(now = new Date()){
+  return {
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ expireAt: null }, { expireAt: { $gt: now } }] }
+    ]
+  };
+}
+
+function isLive(article, now = new Date()){
+  if(article.publishAt && article.publishAt > now) return false;
+  if(article.expireAt && article.expireAt <= now) return false;
+  return true;
+}
+
+// Unpublished, scheduled and expired articles stay visible to their editors only
+function canViewArticle(user, article){
+  if(article.deletedAt) return false;
+  if(canEditArticle(user, article)) return true;
+  if(article.status !== "published" || !isLive(article)) return false;
+  if(article.orgWide !== false) return true;
+  return (article.departments || []).includes(user.department);
+}
+
+// The superadmin edits everything, the owner their own article and
+// department admins anything owned by their department
+function canEditArticle(user, article){
+  if(user.role === "superadmin") return true;
+  if(article.owner && String(article.owner) === String(user.id)) return true;
+  if(user.role !== "admin" || !user.department) return false;
+  return (article.departments || []).includes(user.department);
+}
+
+// Work out departments/orgWide for a create or update.
+// Returns { error } when the list is malformed, names a department
+// that doesn't exist or asks for something outside the caller's reach.
+async function departmentFields(user, departments, orgWide){
+
+  if(departments != null && !isNameList(departments)){
+    return { error: "Departments must be a list of department names" };
+  }
+
+  if(user.role === "superadmin"){
+    const deps = [...new Set(departments || [])];
+    const missing = await unknownDepartments(deps);
+    if(missing.length){
+      return { error: "Unknown department: " + missing.join(", ") };
+    }
+    return {
+      departments: deps,
+      orgWide: orgWide !== undefined ? Boolean(orgWide) : deps.length === 0
+    };
+  }
+
+  const own = user.department;
+
+  if(!own){
+    return { error: "No department assigned" };
+  }
+
+  if(orgWide){
+    return { error: "Only super admin can publish org-wide articles" };
+  }
+
+  const deps = departments && departments.length ? [...new Set(departments)] : [own];
+
+  if(!deps.includes(own)){
+    return { error: "Article must include your department" };
+  }
+
+  const missing = await unknownDepartments(deps);
+  if(missing.length){
+    return { error: "Unknown department: " + missing.join(", ") };
+  }
+
+  return { departments: deps, orgWide: false };
+}
+
+function isNameList(value){
+  return Array.isArray(value) &&
+    value.every(d => typeof d === "string" && d.trim() !== "");
+}
+
+async function unknownDepartments(names){
+  if(!names.length) return [];
+  const found = await Department.find({ name: { $in: names } }).distinct("name");
+  return names.filter(n => !found.includes(n));
+}
+
+module.exports = {
+  articleScope,
+  liveFilter,
+  isLive,
+  canViewArticle,
+  canEditArticle,
+  departmentFields
+};
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+const Admin = require("../models/Admin");
+const User = require("../models/User");
+
+/* ===============================
+   ACCOUNT LOOKUP
+   ids may belong to an admin or a user
+================================ */
+
+async function findAccount(id){
+
+  if(!mongoose.isValidObjectId(id)) return null;
+
+  return (await Admin.findById(id).select("name email role department").lean())
+    || (await User.findById(id).select("name email role department").lean());
+}
+
+module.exports = { findAccount };
@@ -0,0 +1,20 @@
+const Counter = require("../models/Counter");
+
+function makeSummary(content){
+  const t = String(content||"").replace(/\s+/g," ").trim();
+  return t.length>140 ? t.slice(0,140)+"..." : t;
+}
+
+// AUTO NEXT KB NUMBER
+async function generateNextKB(){
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: "kb" },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return "KB-" + String(counter.value).padStart(6, "0");
+}
+
+module.exports = { makeSummary, generateNextKB };
@@ -0,0 +1,45 @@
+const crypto = require("crypto");
+const Attachment = require("../models/Attachment");
+
+const URL_PREFIX = "/api/kb/attachments/";
+const KEY_REF = /\/api\/kb\/attachments\/([a-f0-9]{32})/g;
+
+// The type comes from the uploaded document, so only raster images
+// are kept; SVG or HTML would run script on the API origin
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+// Store an image pulled out of an imported document, returns its
+// URL or null when the type isn't an allowed image
+async function saveImage(data, contentType, user){
+
+  contentType = String(contentType || "").toLowerCase();
+  if(!IMAGE_TYPES.includes(contentType)) return null;
+
+  const key = crypto.randomBytes(16).toString("hex");
+
+  await Attachment.create({
+    key,
+    contentType,
+    size: data.length,
+    data,
+    createdBy: user ? user.id : undefined
+  });
+
+  return URL_PREFIX + key;
+}
+
+// Attach every unclaimed image referenced from an article body to that
+// article. Images another article already owns stay with it, so copying
+// their URL can't take them over (and purge them with the copy).
+async function linkAttachments(articleNumber, html){
+
+  const keys = [...String(html || "").matchAll(KEY_REF)].map(m => m[1]);
+  if(!keys.length) return;
+
+  await Attachment.updateMany(
+    { key: { $in: keys }, articleNumber: null },
+    { $set: { articleNumber, expiresAt: null } }
+  );
+}
+
+module.exports = { URL_PREFIX, IMAGE_TYPES, saveImage, linkAttachments };
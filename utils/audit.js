@@ -0,0 +1,107 @@
+const AuditLog = require("../models/AuditLog");
+
+/* ===============================
+   SUMMARIES
+   what is kept of each target, so
+   entries stay small and secret free
+================================ */
+
+const SUMMARY_FIELDS = {
+  article: [
+    "articleNumber", "title", "status", "category", "tags", "departments", "orgWide",
+    "owner", "publishAt", "expireAt", "reviewBy", "deletedAt"
+  ],
+  user: ["name", "email", "department", "approved", "active"],
+  admin: ["name", "email", "role", "department", "active"]
+};
+
+function summarize(type, doc){
+
+  if(!doc) return undefined;
+
+  const read = f => typeof doc.get === "function" ? doc.get(f) : doc[f];
+
+  return SUMMARY_FIELDS[type].reduce((out, f) => {
+    const v = read(f);
+    if(v !== undefined) out[f] = Array.isArray(v) ? [...v] : v;
+    return out;
+  }, {});
+}
+
+// Keeps only fields that differ; null when nothing changed
+function changes(before, after){
+
+  const out = { before: {}, after: {} };
+
+  for(const f of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])){
+    const a = before ? before[f] : undefined;
+    const b = after ? after[f] : undefined;
+
+    if(JSON.stringify(a ?? null) !== JSON.stringify(b ?? null)){
+      out.before[f] = a ?? null;
+      out.after[f] = b ?? null;
+    }
+  }
+
+  return Object.keys(out.after).length ? out : null;
+}
+
+/* ===============================
+   WRITE AN ENTRY
+   audit(req, "article.update", {
+     target: { type, id, label },
+     departments, before, after, actor
+   })
+   actor defaults to req.user; background work
+   passes { user, ip } as req. A failed write
+   is logged but never fails the request
+================================ */
+
+async function audit(req, action, { target, departments = [], before, after, actor } = {}){
+
+  const who = actor || req.user || {};
+
+  try {
+
+    await AuditLog.create({
+      actor: who.id || who._id || null,
+      actorRole: who.role,
+      action,
+      target: target && { ...target, id: target.id != null ? String(target.id) : undefined },
+      departments: [...new Set([...departments, who.department].filter(Boolean))],
+      before,
+      after,
+      ip: req.ip
+    });
+
+  } catch (err) {
+    console.error(`Audit log write failed (${action}):`, err.message);
+  }
+}
+
+/* ===============================
+   ARTICLE ENTRIES
+   before: summarize("article", doc) taken
+   before the change, null for new articles;
+   after: the saved article, null once purged
+================================ */
+
+function articleTarget(article){
+  return { type: "article", id: article.articleNumber, label: article.title };
+}
+
+function auditArticle(req, action, before, after){
+
+  const a = summarize("article", before);
+  const b = summarize("article", after);
+
+  const diff = a && b ? changes(a, b) : { before: a, after: b };
+
+  return audit(req, action, {
+    target: articleTarget(b || a),
+    departments: [...((a && a.departments) || []), ...((b && b.departments) || [])],
+    ...diff
+  });
+}
+
+module.exports = { summarize, changes, audit, articleTarget, auditArticle };
@@ -0,0 +1,192 @@
+const mongoose = require("mongoose");
+
+const Article = require("../models/Article");
+const Category = require("../models/Category");
+
+const DEFAULT_CATEGORY = "General";
+
+function slugify(name){
+  return String(name || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// "HR / Onboarding" or "hr/onboarding" -> "hr/onboarding"
+function pathOf(value){
+  return String(value).split("/").map(slugify).filter(Boolean).join("/");
+}
+
+/* ===============================
+   DEPARTMENT OWNERSHIP
+================================ */
+
+// Org-wide categories are open to everyone, the rest to their department
+function canUseCategory(user, category){
+  if(user.role === "superadmin") return true;
+  if(!category.department) return true;
+  return category.department === user.department;
+}
+
+// Only the superadmin manages org-wide categories
+function canManageCategory(user, category){
+  if(user.role === "superadmin") return true;
+  if(user.role !== "admin" || !user.department) return false;
+  return category.department === user.department;
+}
+
+/* ===============================
+   LOOK UP BY ID, PATH OR NAME
+================================ */
+
+async function findCategory(value){
+
+  if(mongoose.isValidObjectId(value)){
+    const byId = await Category.findById(value);
+    if(byId) return byId;
+  }
+
+  if(typeof value !== "string") return null;
+
+  const path = pathOf(value);
+  return path ? Category.findOne({ path }) : null;
+}
+
+// Ids for article filters: each category given by id or path
+// plus every category below it. Unknown values add nothing.
+async function categoryIds(values){
+
+  const ids = [];
+
+  for(const value of values){
+    const category = await findCategory(value);
+    if(!category) continue;
+
+    // Paths are slugs, so they need no escaping
+    const below = await Category.find({ path: new RegExp(`^${category.path}/`) })
+      .select("_id")
+      .lean();
+
+    ids.push(category._id, ...below.map(c => c._id));
+  }
+
+  return ids;
+}
+
+async function defaultCategory(){
+  return Category.findOneAndUpdate(
+    { path: slugify(DEFAULT_CATEGORY) },
+    { $setOnInsert: { name: DEFAULT_CATEGORY, slug: slugify(DEFAULT_CATEGORY), parent: null } },
+    { upsert: true, new: true }
+  );
+}
+
+// Article fields for a requested category; nothing requested means General.
+// Returns { category, categoryId } or { error }.
+async function resolveCategory(value, user){
+
+  const isDefault = value === undefined || value === null || value === ""
+    || (typeof value === "string" && pathOf(value) === slugify(DEFAULT_CATEGORY));
+
+  const category = isDefault ? await defaultCategory() : await findCategory(value);
+
+  if(!category){
+    return { error: `Category "${value}" not found` };
+  }
+
+  if(!canUseCategory(user, category)){
+    return { error: "Category belongs to another department" };
+  }
+
+  return { category: category.name, categoryId: category._id };
+}
+
+/* ===============================
+   KEEP DESCENDANTS IN SYNC
+   after a category is renamed or moved
+================================ */
+
+async function rebuildPaths(category){
+
+  const children = await Category.find({ parent: category._id });
+
+  for(const child of children){
+    child.path = `${category.path}/${child.slug}`;
+    await child.save();
+    await rebuildPaths(child);
+  }
+}
+
+async function isDescendant(id, ancestorId){
+
+  let current = await Category.findById(id).select("parent").lean();
+
+  while(current){
+    if(String(current._id) === String(ancestorId)) return true;
+    current = current.parent
+      ? await Category.findById(current.parent).select("parent").lean()
+      : null;
+  }
+
+  return false;
+}
+
+/* ===============================
+   MIGRATE FREE TEXT CATEGORIES
+   one top level category per distinct
+   slug, so "HR" and "hr" become one
+================================ */
+
+async function migrateCategories(){
+
+  const names = await Article.aggregate([
+    { $match: { categoryId: { $exists: false } } },
+    { $group: { _id: { $ifNull: ["$category", DEFAULT_CATEGORY] }, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  const report = { created: [], merged: [], articles: 0 };
+
+  for(const { _id: name } of names){
+
+    const slug = slugify(name) || slugify(DEFAULT_CATEGORY);
+
+    // Most used spelling wins because names are sorted by count
+    let category = await Category.findOne({ path: slug });
+
+    if(!category){
+      category = await Category.create({ name: String(name).trim() || DEFAULT_CATEGORY, slug, path: slug });
+      report.created.push(category.path);
+    } else if(category.name !== name){
+      report.merged.push({ from: name, into: category.path });
+    }
+
+    const filter = { categoryId: { $exists: false } };
+    filter.category = name === DEFAULT_CATEGORY ? { $in: [name, null] } : name;
+
+    const result = await Article.updateMany(
+      filter,
+      { $set: { categoryId: category._id, category: category.name } },
+      { timestamps: false }
+    );
+
+    report.articles += result.modifiedCount;
+  }
+
+  return report;
+}
+
+module.exports = {
+  DEFAULT_CATEGORY,
+  slugify,
+  canUseCategory,
+  canManageCategory,
+  findCategory,
+  categoryIds,
+  resolveCategory,
+  rebuildPaths,
+  isDescendant,
+  migrateCategories
+};
@@ -0,0 +1,107 @@
+const Article = require("../models/Article");
+const { articleScope, canEditArticle } = require("./access");
+const { recordRevision, recordBaseline } = require("./revisions");
+const { makeSummary } = require("./articles");
+const { can } = require("./permissions");
+const {
+  MAX_DISTANCE, fingerprint, hammingDistance
+} = require("./fingerprint");
+
+// What to do when new content matches an existing article
+const DUPLICATE_MODES = ["flag", "skip", "update", "force"];
+
+function duplicateMode(v){
+  return DUPLICATE_MODES.includes(v) ? v : "flag";
+}
+
+/* ===============================
+   FIND MATCHING ARTICLES
+   exact content or simhash within MAX_DISTANCE,
+   limited to what the caller can see
+================================ */
+
+async function findDuplicates(text, user, exclude){
+
+  if(!String(text || "").trim()) return [];
+
+  const fp = fingerprint(text);
+
+  const filter = {
+    ...articleScope(user),
+    $and: [{ $or: [
+      { contentHash: fp.contentHash },
+      { simhashBands: { $in: fp.simhashBands } }
+    ] }]
+  };
+
+  if(exclude) filter.articleNumber = { $ne: exclude };
+
+  const candidates = await Article.find(filter)
+    .select("articleNumber title status contentHash simhash")
+    .limit(50)
+    .lean();
+
+  return candidates
+    .map(a => {
+      const exact = a.contentHash === fp.contentHash;
+      const distance = exact ? 0 : hammingDistance(fp.simhash, a.simhash);
+      return {
+        articleNumber: a.articleNumber,
+        title: a.title,
+        status: a.status,
+        exact,
+        similarity: Math.round((1 - distance / 64) * 1000) / 1000,
+        distance
+      };
+    })
+    .filter(m => m.exact || m.distance <= MAX_DISTANCE)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 5)
+    .map(({ distance, ...m }) => m);
+}
+
+/* ===============================
+   APPLY DUPLICATE MODE
+   null when the section should be created,
+   otherwise what happened instead
+================================ */
+
+async function resolveDuplicate(sec, user, mode){
+
+  if(mode === "force") return null;
+
+  const matches = await findDuplicates(sec.content, user);
+  if(!matches.length) return null;
+
+  if(mode === "update"){
+    const existing = await Article.findOne({
+      articleNumber: matches[0].articleNumber,
+      deletedAt: null
+    });
+
+    if(!existing || !canEditArticle(user, existing)){
+      return { action: "flagged", matches, error: "Not allowed to update the existing article" };
+    }
+
+    await recordBaseline(existing);
+
+    existing.content = sec.content;
+    existing.contentHtml = sec.html;
+    existing.summary = makeSummary(sec.content);
+    existing.updatedBy = user.id;
+
+    // As with edits, only reviewers may change live content directly
+    if(existing.status === "published" && !can(user, "articles:review")){
+      existing.status = "draft";
+    }
+
+    await existing.save();
+    await recordRevision(existing, user, "update");
+
+    return { action: "updated", articleNumber: existing.articleNumber, matches };
+  }
+
+  return { action: mode === "skip" ? "skipped" : "flagged", matches };
+}
+
+module.exports = { DUPLICATE_MODES, duplicateMode, findDuplicates, resolveDuplicate };
@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+
+/* ===============================
+   CONTENT FINGERPRINTS
+   contentHash - exact match after normalizing
+   simhash     - 64 bit hash where similar texts
+                 differ in only a few bits
+================================ */
+
+const BANDS = 8;
+
+// Two texts are near duplicates at or below this many differing bits.
+// Must stay below BANDS so near duplicates always share a band.
+const MAX_DISTANCE = 7;
+
+function normalize(text){
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function contentHash(text){
+  return crypto.createHash("sha1").update(normalize(text)).digest("hex");
+}
+
+function hash64(s){
+  return BigInt("0x" + crypto.createHash("md5").update(s).digest("hex").slice(0, 16));
+}
+
+// SimHash over 3-word shingles
+function simhash(text){
+
+  const words = normalize(text).split(" ").filter(Boolean);
+  const shingles = words.length < 3
+    ? [words.join(" ")]
+    : words.slice(0, -2).map((w, i) => `${w} ${words[i + 1]} ${words[i + 2]}`);
+
+  const v = new Array(64).fill(0);
+
+  for(const sh of shingles){
+    const h = hash64(sh);
+    for(let bit = 0; bit < 64; bit++){
+      v[bit] += (h >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let out = 0n;
+  for(let bit = 0; bit < 64; bit++){
+    if(v[bit] > 0) out |= 1n << BigInt(bit);
+  }
+
+  return out.toString(16).padStart(16, "0");
+}
+
+// "band:chunk" keys; near duplicates share at least one of them
+function simhashBands(hex){
+  const size = 16 / BANDS;
+  return Array.from({ length: BANDS }, (_, i) => `${i}:${hex.slice(i * size, (i + 1) * size)}`);
+}
+
+function hammingDistance(a, b){
+  let x = BigInt("0x" + a) ^ BigInt("0x" + b);
+  let d = 0;
+  while(x){
+    d += Number(x & 1n);
+    x >>= 1n;
+  }
+  return d;
+}
+
+function fingerprint(text){
+  const hex = simhash(text);
+  return {
+    contentHash: contentHash(text),
+    simhash: hex,
+    simhashBands: simhashBands(hex)
+  };
+}
+
+module.exports = {
+  MAX_DISTANCE,
+  contentHash,
+  simhash,
+  simhashBands,
+  hammingDistance,
+  fingerprint
+};
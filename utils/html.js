@@ -0,0 +1,38 @@
+const sanitize = require("sanitize-html");
+
+// Tags kept from Word documents and rich article bodies
+const ALLOWED_TAGS = sanitize.defaults.allowedTags.concat(["img", "h1", "h2"]);
+
+const SANITIZE_OPTIONS = {
+  allowedTags: ALLOWED_TAGS,
+  allowedAttributes: {
+    a: ["href", "title"],
+    img: ["src", "alt", "title"],
+    td: ["colspan", "rowspan"],
+    th: ["colspan", "rowspan"],
+    ol: ["start"]
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] }
+};
+
+function sanitizeHtml(html){
+  return sanitize(String(html || ""), SANITIZE_OPTIONS);
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", "#39": "'", nbsp: " " };
+
+// Plain text for search indexing and summaries; block
+// elements become line breaks so steps stay separated
+function htmlToText(html){
+  return String(html || "")
+    .replace(/<(br|\/p|\/li|\/h[1-6]|\/tr|\/div|\/blockquote)[^>]*>/gi, "\n")
+    .replace(/<\/t[dh]>/gi, "\t")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (m, e) => ENTITIES[e])
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+module.exports = { sanitizeHtml, htmlToText };
@@ -0,0 +1,293 @@
+const crypto = require("crypto");
+const os = require("os");
+const mongoose = require("mongoose");
+
+const Article = require("../models/Article");
+const ImportJob = require("../models/ImportJob");
+const { importScope, splitText, importSection } = require("./imports");
+const { parseDocument, readZip, skippedFile, splitUpload } = require("./importers");
+const { deleteArticleData } = require("./trash");
+const { audit, auditArticle } = require("./audit");
+
+const POLL_INTERVAL = 5000;
+
+// Running jobs touch heartbeatAt this often; one silent for
+// STALE_AFTER lost its worker (crash, restart on any instance)
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const STALE_AFTER = 3 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+
+// Filter for a job this worker still owns
+function owned(job){
+  return { _id: job._id, status: "running", workerId: WORKER_ID };
+}
+
+/* ===============================
+   UPLOADED FILES (GRIDFS)
+   kept in MongoDB until the job finishes,
+   the request doesn't wait for parsing
+================================ */
+
+function bucket(){
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: "importFiles" });
+}
+
+function storeFile(buf, filename){
+  return new Promise((resolve, reject) => {
+    const stream = bucket().openUploadStream(filename || "import");
+    stream.on("error", reject);
+    stream.on("finish", () => resolve(stream.id));
+    stream.end(buf);
+  });
+}
+
+function readFile(id){
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    bucket().openDownloadStream(id)
+      .on("data", c => chunks.push(c))
+      .on("error", reject)
+      .on("end", () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+async function removeFile(id){
+  try {
+    await bucket().delete(id);
+  } catch (err) {
+    // Already gone
+  }
+}
+
+/* ===============================
+   SECTIONS TO IMPORT
+   [{ file, sections }] - one entry per
+   document, several for a .zip
+================================ */
+
+async function loadUnits(job){
+
+  if(job.source === "preview"){
+    return [{ file: job.filename, sections: job.sections }];
+  }
+
+  const buf = await readFile(job.fileId);
+
+  if(job.source === "text"){
+    return [{ file: job.filename, sections: splitText(buf.toString("utf8"), job.rules || {}) }];
+  }
+
+  const doc = await parseDocument(buf, job.filename, job.user);
+
+  if(doc.type !== "zip"){
+    if(!doc.text.trim()) throw new Error("No text extracted");
+    return [{ file: job.filename, sections: splitUpload(job.filename, doc, job.mode, job.rules || {}) }];
+  }
+
+  const { files, skipped } = await readZip(buf);
+  const units = [];
+
+  job.files.push(...skipped.map(skippedFile));
+
+  for(const f of files){
+    try {
+
+      const entry = await parseDocument(f.data, f.name, job.user);
+
+      if(entry.type === "zip") throw new Error("Nested zip files are not supported");
+      if(!entry.text.trim()) throw new Error("No text extracted");
+
+      const sections = splitUpload(f.name, entry, job.mode, job.rules || {});
+      units.push({ file: f.name, sections });
+      job.files.push({ file: f.name, type: entry.type, ok: true, sections: sections.length });
+
+    } catch (err) {
+      job.files.push({ file: f.name, ok: false, error: err.message });
+    }
+  }
+
+  return units;
+}
+
+/* ===============================
+   RUN ONE JOB
+   progress is written after every section
+================================ */
+
+async function processJob(job){
+
+  const heartbeat = setInterval(() => {
+    ImportJob.updateOne(owned(job), { $set: { heartbeatAt: new Date() } })
+      .catch(err => console.error("Import heartbeat failed:", err.message));
+  }, HEARTBEAT_INTERVAL);
+
+  try {
+
+    // Stands in for the request in audit entries
+    const user = job.user;
+    const actor = { user, ip: job.ip };
+    const scope = await importScope(user, job.defaults);
+    if(scope.error) throw new Error(scope.error);
+
+    const units = await loadUnits(job);
+
+    job.progress.total = units.reduce((n, u) => n + u.sections.length, 0);
+    await job.save();
+
+    for(const unit of units){
+      for(let i = 0; i < unit.sections.length; i++){
+
+        const current = await ImportJob.findOne(owned(job)).select("cancelRequested").lean();
+
+        // Reclaimed as stale by another instance
+        if(!current) return;
+
+        if(current.cancelRequested){
+          await ImportJob.updateOne(
+            owned(job),
+            { $set: { status: "cancelled", finishedAt: new Date() } }
+          );
+          return;
+        }
+
+        const sec = unit.sections[i];
+        const update = { $inc: { "progress.processed": 1 }, $set: { heartbeatAt: new Date() } };
+
+        try {
+          const r = await importSection(sec, user, scope, job.defaults, job.onDuplicate, job._id);
+
+          if(r.articleNumber){
+            update.$push = { created: r.articleNumber };
+            await auditArticle(actor, "article.import", null, r.article);
+          } else {
+            update.$push = { duplicates: { file: unit.file, ...r.duplicate } };
+            if(r.duplicate.action === "updated"){
+              update.$push.updated = r.duplicate.articleNumber;
+              await audit(actor, "article.update", {
+                target: { type: "article", id: r.duplicate.articleNumber, label: sec.title },
+                departments: scope.departments,
+                after: { content: "replaced by duplicate import" }
+              });
+            }
+          }
+        } catch (err) {
+          update.$push = { failures: { file: unit.file, section: i, title: sec.title, error: err.message } };
+        }
+
+        await ImportJob.updateOne(owned(job), update);
+      }
+    }
+
+    await ImportJob.updateOne(
+      owned(job),
+      { $set: { status: "completed", finishedAt: new Date() } }
+    );
+
+  } catch (err) {
+    await ImportJob.updateOne(
+      owned(job),
+      { $set: { status: "failed", error: err.message, finishedAt: new Date() } }
+    );
+  } finally {
+    clearInterval(heartbeat);
+    if(job.fileId) await removeFile(job.fileId);
+  }
+}
+
+/* ===============================
+   WORKER
+   one job at a time, oldest first
+================================ */
+
+let busy = false;
+
+async function runNext(){
+
+  if(busy) return;
+  busy = true;
+
+  try {
+    for(;;){
+      const job = await ImportJob.findOneAndUpdate(
+        { status: "queued" },
+        { $set: { status: "running", startedAt: new Date(), workerId: WORKER_ID, heartbeatAt: new Date() } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+
+      if(!job) break;
+      await processJob(job);
+    }
+  } catch (err) {
+    console.error("Import worker failed:", err.message);
+  } finally {
+    busy = false;
+  }
+}
+
+// Jobs whose worker went away can't be resumed safely; they
+// stay available for rollback. Jobs other instances are still
+// running keep their heartbeat fresh and are left alone.
+function failStaleJobs(){
+  return ImportJob.updateMany(
+    {
+      status: "running",
+      $or: [
+        { heartbeatAt: null },
+        { heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER) } }
+      ]
+    },
+    { $set: { status: "failed", error: "Import worker stopped", finishedAt: new Date() } }
+  );
+}
+
+async function startImportWorker(){
+
+  await failStaleJobs();
+
+  runNext();
+  setInterval(runNext, POLL_INTERVAL);
+  setInterval(() => {
+    failStaleJobs().catch(err => console.error("Stale import check failed:", err.message));
+  }, STALE_AFTER);
+}
+
+async function enqueueJob(fields){
+  const job = await ImportJob.create(fields);
+  setImmediate(runNext);
+  return job;
+}
+
+/* ===============================
+   ROLLBACK
+   removes every article the job created;
+   articles it updated keep their revisions.
+   Returns null unless the job had finished
+================================ */
+
+const ROLLBACK_FROM = ["completed", "failed", "cancelled"];
+
+async function rollbackJob(job){
+
+  // Claim first so two rollbacks can't race
+  const claimed = await ImportJob.findOneAndUpdate(
+    { _id: job._id, status: { $in: ROLLBACK_FROM } },
+    { $set: { status: "rolled_back" } },
+    { new: true }
+  );
+
+  if(!claimed) return null;
+
+  // created is written after each article, so also look for
+  // articles tagged with the job that never made it onto the list
+  const tagged = await Article.distinct("articleNumber", { importJob: claimed._id });
+  const kbs = [...new Set([...claimed.created, ...tagged])];
+
+  for(const kb of kbs){
+    await deleteArticleData(kb);
+  }
+
+  return kbs.length;
+}
+
+module.exports = { storeFile, enqueueJob, startImportWorker, rollbackJob };
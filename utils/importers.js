@@ -0,0 +1,370 @@
+const path = require("path");
+const mammoth = require("mammoth");
+const JSZip = require("jszip");
+const { marked } = require("marked");
+const { PDFParse } = require("pdf-parse");
+const { sanitizeHtml, htmlToText } = require("./html");
+const { saveImage } = require("./attachments");
+const { escapeRegex } = require("./search");
+
+const MAX_PATTERN_LENGTH = 100;
+const DIGITS = "\\d+";
+const REGEX_SYNTAX = /[\\*+?()[\]{}|^$]/;
+
+// Regex for a section marker such as "Task type:" or "Step \d+:".
+// Patterns come from import profiles and are matched as plain text;
+// "\d+" is the only placeholder. The split runs on the server's only
+// thread, so regex syntax from a profile is refused, not compiled.
+// Throws when invalid.
+function compileMarker(pattern){
+
+  if(typeof pattern !== "string" || !pattern.trim() || pattern.length > MAX_PATTERN_LENGTH){
+    throw new Error("Invalid split pattern");
+  }
+
+  const parts = pattern.split(DIGITS);
+
+  if(parts.some(p => REGEX_SYNTAX.test(p))){
+    throw new Error("Split pattern must be plain text; only \\d+ may stand for a number");
+  }
+
+  const marker = parts.map(escapeRegex).join(DIGITS);
+
+  return new RegExp(`(?:^|\\n)\\s*(?:\\d+\\.\\s*)?${marker}\\s*`, "gi");
+}
+
+// PDF / TEXT SPLIT ON A MARKER
+// Text after the marker on the same line becomes the title
+function splitByMarker(text, pattern){
+  const parts = text.split(compileMarker(pattern));
+
+  return parts.slice(1).map(p=>{
+    const lines = p.trim().split("\n");
+
+    return {
+      title: lines[0] || "Untitled",
+      content: lines.slice(1).join("\n")
+    };
+  });
+}
+
+// OLD PDF / TEXT SPLIT
+function splitByTaskType(text){
+  return splitByMarker(text, "Task type:");
+}
+
+// NUMBERED HEADINGS ("1. Scope", "2.3 Approvals")
+function splitByNumbered(text){
+
+  const sections = [];
+  let current = null;
+
+  for(const line of text.split("\n")){
+    const m = line.match(/^\s*\d+(?:\.\d+)*[.)]?\s+(\S.*)$/);
+
+    if(m && m[1].length <= 120){
+      current = { title: m[1].trim(), lines: [] };
+      sections.push(current);
+    } else if(current){
+      current.lines.push(line);
+    }
+  }
+
+  return sections.map(s => ({
+    title: s.title,
+    content: s.lines.join("\n").trim()
+  }));
+}
+
+// NEW WORD HEADING SPLIT
+// Keeps each section's HTML (lists, tables, images) next to its plain text
+function splitByHeadings(html, level = 1){
+
+  const close = `</h${level}>`;
+  const parts = html.split(new RegExp(`<h${level}[^>]*>`, "i")).slice(1);
+
+  return parts.map(block => {
+
+    const endTitle = block.toLowerCase().indexOf(close);
+
+    const title = htmlToText(block.slice(0, endTitle));
+    const bodyHtml = block.slice(endTitle + close.length).trim();
+
+    return {
+      title: title || "Untitled",
+      content: htmlToText(bodyHtml),
+      html: bodyHtml
+    };
+  });
+}
+
+/* ===============================
+   FILE TYPE DETECTION
+   by content, the name only tells
+   Markdown from plain text
+================================ */
+
+function looksBinary(buf){
+
+  const head = buf.subarray(0, 8000);
+  if(head.includes(0)) return true;
+
+  // stream: a character cut off at the end of the sample isn't an error
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(head, { stream: true });
+    return false;
+  } catch (err) {
+    return true;
+  }
+}
+
+async function detectType(buf, name){
+
+  if(buf.subarray(0, 5).toString("latin1") === "%PDF-") return "pdf";
+
+  if(buf.subarray(0, 4).toString("latin1") === "PK\x03\x04"){
+    const zip = await JSZip.loadAsync(buf);
+    if(zip.file("word/document.xml")) return "docx";
+    // Other Office (xlsx, pptx) and OpenDocument packages aren't batches
+    if(zip.file("[Content_Types].xml") || zip.file("mimetype")) return null;
+    return "zip";
+  }
+
+  if(!buf.length || looksBinary(buf)) return null;
+
+  const text = buf.subarray(0, 8000).toString("utf8");
+
+  if(/^\s*(<!doctype html|<html|<body)/i.test(text)) return "html";
+  if(/<(h[1-6]|p|div|table|ul|ol)\b[^>]*>/i.test(text)) return "html";
+
+  if(/\.(md|markdown)$/i.test(name || "") || /^#{1,6}\s+\S/m.test(text)){
+    return "markdown";
+  }
+
+  return "text";
+}
+
+// detectType that throws a 415 error for anything unsupported
+async function requireType(buf, name){
+
+  const type = await detectType(buf, name);
+
+  if(!type){
+    const err = new Error(`Unsupported file type: ${name}. Use .docx, .pdf, .md, .html, .txt or .zip`);
+    err.status = 415;
+    throw err;
+  }
+
+  return type;
+}
+
+/* ===============================
+   PARSE ONE DOCUMENT
+   { type, text, html } - html for rich formats,
+   images from Word stored as attachments
+================================ */
+
+async function parseDocument(buf, name, user){
+
+  const type = await requireType(buf, name);
+
+  if(type === "docx"){
+    const r = await mammoth.convertToHtml({ buffer: buf }, {
+      convertImage: mammoth.images.imgElement(async image => {
+        const data = await image.read();
+        const src = await saveImage(data, image.contentType, user);
+        return src ? { src } : { alt: "" };
+      })
+    });
+
+    const html = sanitizeHtml(r.value);
+    return { type, text: htmlToText(html), html };
+  }
+
+  if(type === "pdf"){
+    const parser = new PDFParse({ data: buf });
+
+    try {
+      const r = await parser.getText({ pageJoiner: "" });
+      return { type, text: r.text };
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  if(type === "html" || type === "markdown"){
+    let source = buf.toString("utf8");
+
+    if(type === "markdown"){
+      source = marked.parse(source);
+    } else {
+      const body = source.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+      if(body) source = body[1];
+    }
+
+    const html = sanitizeHtml(source);
+    return { type, text: htmlToText(html), html };
+  }
+
+  if(type === "zip") return { type, text: "" };
+
+  return { type, text: buf.toString("utf8") };
+}
+
+/* ===============================
+   ZIP BATCHES
+================================ */
+
+const MAX_ZIP_FILES = 200;
+const MAX_ZIP_BYTES = 200 * 1024 * 1024;
+
+// Entries imported from a .zip; anything else is reported as skipped
+const ZIP_DOCUMENT = /\.(docx|pdf|md|markdown|html?|txt)$/i;
+
+function zipTooLarge(){
+  const err = new Error("Zip contents are too large");
+  err.status = 400;
+  return err;
+}
+
+// Inflates one entry, giving up as soon as it passes limit bytes:
+// the sizes in the archive are only what it claims
+function inflate(entry, limit){
+  return new Promise((resolve, reject) => {
+
+    const chunks = [];
+    let size = 0;
+
+    const stream = entry.internalStream("uint8array");
+
+    stream
+      .on("data", chunk => {
+        size += chunk.length;
+        if(size > limit){
+          stream.pause();
+          return reject(zipTooLarge());
+        }
+        chunks.push(Buffer.from(chunk));
+      })
+      .on("error", reject)
+      .on("end", () => resolve(Buffer.concat(chunks)))
+      .resume();
+  });
+}
+
+// Documents inside a .zip as { files: [{ name, data }], skipped: [name] },
+// leaving out folders and OS metadata. Throws when the archive is too
+// large to unpack safely.
+async function readZip(buf){
+
+  const zip = await JSZip.loadAsync(buf);
+  const entries = Object.values(zip.files).filter(e =>
+    !e.dir &&
+    !e.name.startsWith("__MACOSX/") &&
+    !path.basename(e.name).startsWith(".")
+  );
+
+  const documents = entries.filter(e => ZIP_DOCUMENT.test(e.name));
+  const skipped = entries.filter(e => !ZIP_DOCUMENT.test(e.name)).map(e => e.name);
+
+  if(documents.length > MAX_ZIP_FILES){
+    const err = new Error(`Zip has more than ${MAX_ZIP_FILES} files`);
+    err.status = 400;
+    throw err;
+  }
+
+  const declared = documents.reduce((n, e) => n + (e._data.uncompressedSize || 0), 0);
+  if(declared > MAX_ZIP_BYTES) throw zipTooLarge();
+
+  const files = [];
+  let total = 0;
+
+  for(const e of documents){
+    const data = await inflate(e, MAX_ZIP_BYTES - total);
+    total += data.length;
+    files.push({ name: e.name, data });
+  }
+
+  return { files, skipped };
+}
+
+// Report entry for a zip entry that isn't a supported document
+function skippedFile(name){
+  return { file: name, ok: false, skipped: true, error: "Unsupported file type, skipped" };
+}
+
+// Highest heading level used more than once, so a single document
+// title above <h2> sections doesn't swallow the whole file
+function defaultHeadingLevel(html){
+
+  let first = 0;
+
+  for(let level = 1; level <= 6; level++){
+    const count = (html.match(new RegExp(`<h${level}[\\s>]`, "gi")) || []).length;
+    if(count > 1) return level;
+    if(count && !first) first = level;
+  }
+
+  return first || 1;
+}
+
+// Split a parsed document using import profile rules:
+//   heading  - <hN> sections (rich documents; text falls back to the marker)
+//   marker   - custom pattern, default "Task type:"
+//   numbered - "1." / "2.3" numbered heading lines
+//   none     - whole document as one section
+// Without rules: headings for rich documents, "Task type:" markers for
+// text that has them, one section otherwise. Numbered splitting is left
+// to profiles, as numbered SOP steps would each become an article.
+function splitDocument(doc, rules = {}, title = "Untitled"){
+
+  let splitBy = rules.splitBy;
+
+  if(!splitBy){
+    if(doc.html) splitBy = "heading";
+    else if(/Task type:/i.test(doc.text)) splitBy = "marker";
+    else splitBy = "none";
+  }
+
+  if(splitBy === "none"){
+    return [{ title, content: doc.text, html: doc.html }];
+  }
+
+  if(splitBy === "heading" && doc.html){
+    return splitByHeadings(doc.html, rules.headingLevel || defaultHeadingLevel(doc.html));
+  }
+
+  if(splitBy === "numbered"){
+    return splitByNumbered(doc.text);
+  }
+
+  return rules.pattern
+    ? splitByMarker(doc.text, rules.pattern)
+    : splitByTaskType(doc.text);
+}
+
+// Sections for an uploaded file: whole file when mode is "single",
+// otherwise the profile rules (see splitDocument)
+function splitUpload(name, doc, mode, rules){
+
+  if(mode==="single"){
+    return splitDocument(doc, { splitBy: "none" }, path.basename(name));
+  }
+
+  return splitDocument(doc, rules);
+}
+
+module.exports = {
+  compileMarker,
+  splitByTaskType,
+  splitByMarker,
+  splitByNumbered,
+  splitByHeadings,
+  splitDocument,
+  detectType,
+  requireType,
+  parseDocument,
+  readZip,
+  skippedFile,
+  splitUpload
+};
@@ -0,0 +1,108 @@
+const Article = require("../models/Article");
+const ImportProfile = require("../models/ImportProfile");
+const { departmentFields } = require("./access");
+const { recordRevision } = require("./revisions");
+const { makeSummary, generateNextKB } = require("./articles");
+const { duplicateMode, resolveDuplicate } = require("./duplicates");
+const { splitDocument } = require("./importers");
+const { resolveCategory } = require("./categories");
+
+/* ===============================
+   RESOLVE IMPORT PROFILE
+   returns { rules, defaults } or { error }
+================================ */
+
+async function loadProfile(name, fallbackTag){
+
+  const builtIn = {
+    rules: {},
+    defaults: { category: "General", tags: [fallbackTag], status: "draft" }
+  };
+
+  if(name === undefined || name === "") return builtIn;
+
+  if(typeof name !== "string"){
+    return { error: "Invalid profile" };
+  }
+
+  const profile = await ImportProfile.findOne({ name }).lean();
+
+  if(!profile){
+    return { error: `Import profile "${name}" not found` };
+  }
+
+  return {
+    rules: {
+      splitBy: profile.splitBy,
+      headingLevel: profile.headingLevel,
+      pattern: profile.pattern
+    },
+    defaults: {
+      profile: profile.name,
+      category: profile.category || "General",
+      tags: profile.tags.length ? profile.tags : [fallbackTag],
+      status: profile.status || "draft",
+      department: profile.department
+    }
+  };
+}
+
+async function importScope(user, defaults){
+  return departmentFields(user, defaults.department ? [defaults.department] : undefined);
+}
+
+// Pasted SOP text has no headings, so heading profiles use the marker
+function splitText(text, rules){
+  return splitDocument(
+    { text: String(text) },
+    rules.splitBy === "heading" ? { ...rules, splitBy: "marker" } : rules
+  );
+}
+
+/* ===============================
+   CREATE ONE IMPORTED ARTICLE
+   returns { articleNumber, article } or { duplicate }
+   when onDuplicate kept it from being created;
+   the article is tagged with the job for rollback
+================================ */
+
+async function importSection(sec, user, scope, defaults, onDuplicate, jobId){
+
+  const dup = await resolveDuplicate(sec, user, duplicateMode(onDuplicate));
+
+  if(dup){
+    return { duplicate: { title: sec.title, ...dup } };
+  }
+
+  const filed = await resolveCategory(defaults.category, user);
+  if(filed.error) throw new Error(filed.error);
+
+  const submitted = defaults.status === "in_review";
+  const kb = await generateNextKB();
+
+  const doc = await Article.create({
+    articleNumber: kb,
+    title: sec.title,
+    summary: makeSummary(sec.content),
+    content: sec.content,
+    contentHtml: sec.html,
+    category: filed.category,
+    categoryId: filed.categoryId,
+    tags: defaults.tags,
+    status: defaults.status,
+    submittedBy: submitted ? user.id : undefined,
+    submittedAt: submitted ? new Date() : undefined,
+    departments: scope.departments,
+    orgWide: scope.orgWide,
+    createdBy: user.id,
+    updatedBy: user.id,
+    owner: user.id,
+    importJob: jobId
+  });
+
+  await recordRevision(doc, user, "create");
+
+  return { articleNumber: kb, article: doc };
+}
+
+module.exports = { loadProfile, importScope, splitText, importSection };
@@ -0,0 +1,20 @@
+const KB_REF = /\bKB-(\d+)\b/gi;
+
+// Unique KB numbers mentioned in the given text(s), self references dropped.
+// Numbers are stored zero-padded (KB-001042), so "KB-1042" is normalized to match
+function extractLinks(texts, self){
+
+  const found = new Set();
+
+  for(const t of texts){
+    for(const [, digits] of String(t || "").matchAll(KB_REF)){
+      const n = digits.replace(/^0+(?=\d)/, "");
+      found.add("KB-" + n.padStart(6, "0"));
+    }
+  }
+
+  found.delete(self);
+  return [...found];
+}
+
+module.exports = { extractLinks };
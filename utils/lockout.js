@@ -0,0 +1,44 @@
+/* ===============================
+   ACCOUNT LOCKOUT
+   too many wrong passwords lock the
+   account for LOCK_MINUTES
+================================ */
+
+const MAX_FAILED_LOGINS = Number(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCK_MINUTES = Number(process.env.LOCK_MINUTES) || 15;
+
+function isLocked(account){
+  return Boolean(account.lockedUntil && account.lockedUntil > new Date());
+}
+
+// Works for Admin and User documents; returns true when this failure locked it
+async function recordFailure(account){
+
+  const Model = account.constructor;
+
+  const updated = await Model.findOneAndUpdate(
+    { _id: account._id },
+    { $inc: { failedLogins: 1 } },
+    { new: true }
+  ).select("failedLogins").lean();
+
+  if(!updated || updated.failedLogins < MAX_FAILED_LOGINS) return false;
+
+  await Model.updateOne(
+    { _id: account._id },
+    { $set: { failedLogins: 0, lockedUntil: new Date(Date.now() + LOCK_MINUTES * 60 * 1000) } }
+  );
+
+  return true;
+}
+
+async function recordSuccess(account){
+  if(!account.failedLogins && !account.lockedUntil) return;
+
+  await account.constructor.updateOne(
+    { _id: account._id },
+    { $set: { failedLogins: 0, lockedUntil: null } }
+  );
+}
+
+module.exports = { MAX_FAILED_LOGINS, LOCK_MINUTES, isLocked, recordFailure, recordSuccess };
@@ -0,0 +1,15 @@
+const nodemailer = require("nodemailer");
+
+/* ============================
+   EMAIL TRANSPORTER (REUSE)
+============================ */
+
+const transporter = nodemailer.createTransport({
+  service: "gmail",
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  }
+});
+
+module.exports = { transporter };
@@ -0,0 +1,49 @@
+/* ===============================
+   ROLE BASED PERMISSIONS
+   every route declares one of these
+   through middleware/permit.js
+================================ */
+
+const USER = [
+  "account:self",     // own sessions, logout
+  "articles:read",    // view, search, revisions, feedback
+  "articles:write"    // create, edit own, import, vote, comment
+];
+
+const ADMIN = [
+  ...USER,
+  "account:2fa",      // own two-factor setup
+  "articles:review",  // approve, reject, archive, review queue and reports
+  "articles:manage",  // bulk edits, tags, owners, trash, duplicates, links
+  "categories:manage",
+  "imports:manage",   // import profiles
+  "synonyms:manage",
+  "feedback:manage",
+  "analytics:read",
+  "audit:read",       // audit log, own department only for admins
+  "users:approve"
+];
+
+const SUPERADMIN = [
+  ...ADMIN,
+  "users:manage",
+  "admins:manage",
+  "departments:manage",
+  "system:maintain"   // rebuilds and migrations
+];
+
+const ROLE_PERMISSIONS = {
+  user: USER,
+  admin: ADMIN,
+  superadmin: SUPERADMIN
+};
+
+function can(user, permission){
+  return Boolean(user && (ROLE_PERMISSIONS[user.role] || []).includes(permission));
+}
+
+function permissionsOf(role){
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+module.exports = { ROLE_PERMISSIONS, can, permissionsOf };
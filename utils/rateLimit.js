@@ -0,0 +1,32 @@
+const RateLimit = require("../models/RateLimit");
+
+/* ===============================
+   COUNT ONE HIT
+   returns { count, resetAt } for the
+   window the hit landed in
+================================ */
+
+async function hit(key, windowMs){
+
+  const now = new Date();
+  const open = { $gt: ["$resetAt", now] };
+
+  const update = [{ $set: {
+    count: { $cond: [open, { $add: ["$count", 1] }, 1] },
+    resetAt: { $cond: [open, "$resetAt", new Date(now.getTime() + windowMs)] }
+  } }];
+
+  try {
+    return await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true }).lean();
+  } catch (err) {
+    // Two first hits raced on the upsert; the counter exists now
+    if(err.code !== 11000) throw err;
+    return RateLimit.findOneAndUpdate({ key }, update, { new: true }).lean();
+  }
+}
+
+function reset(key){
+  return RateLimit.deleteOne({ key });
+}
+
+module.exports = { hit, reset };
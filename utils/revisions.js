@@ -0,0 +1,109 @@
+const ArticleRevision = require("../models/ArticleRevision");
+
+// Article fields captured in every revision snapshot
+const REVISION_FIELDS = ["title", "summary", "content", "contentHtml", "category", "tags", "status"];
+
+// categoryId is kept too (not diffed) so a restore finds the
+// category again after it was renamed or moved
+function snapshotOf(article){
+  const snap = { categoryId: article.categoryId };
+  for(const f of REVISION_FIELDS){
+    snap[f] = f === "tags" ? [...(article.tags || [])] : article[f];
+  }
+  return snap;
+}
+
+/* ===============================
+   SAVE NEW REVISION
+   two edits at once can pick the same
+   number; the unique index refuses the
+   second, which then takes the next one
+================================ */
+
+const MAX_ATTEMPTS = 5;
+
+async function recordRevision(article, user, action = "update", extra = {}){
+
+  for(let attempt = 1; ; attempt++){
+
+    const last = await ArticleRevision.findOne({ articleNumber: article.articleNumber })
+      .sort({ revision: -1 })
+      .select("revision")
+      .lean();
+
+    try {
+      return await ArticleRevision.create({
+        articleNumber: article.articleNumber,
+        revision: last ? last.revision + 1 : 1,
+        action,
+        snapshot: snapshotOf(article),
+        editedBy: user ? user.id : undefined,
+        editedByRole: user ? user.role : undefined,
+        ...extra
+      });
+    } catch (err) {
+      if(err.code !== 11000 || attempt >= MAX_ATTEMPTS) throw err;
+    }
+  }
+}
+
+/* ===============================
+   BASELINE FOR OLDER ARTICLES
+   articles saved before revisions were kept
+   have none, so their current state is recorded
+   first; call before changing the article
+================================ */
+
+async function recordBaseline(article){
+
+  if(await ArticleRevision.exists({ articleNumber: article.articleNumber })) return null;
+
+  try {
+    return await ArticleRevision.create({
+      articleNumber: article.articleNumber,
+      revision: 1,
+      action: "baseline",
+      snapshot: snapshotOf(article),
+      editedBy: article.updatedBy || article.createdBy,
+      createdAt: article.updatedAt || article.createdAt
+    });
+  } catch (err) {
+    // A concurrent edit recorded it first
+    if(err.code === 11000) return null;
+    throw err;
+  }
+}
+
+/* ===============================
+   FIELD LEVEL DIFF
+================================ */
+
+function diffSnapshots(from, to){
+
+  const changes = [];
+
+  for(const f of REVISION_FIELDS){
+    const a = from[f];
+    const b = to[f];
+
+    if(f === "tags"){
+      const before = a || [];
+      const after = b || [];
+      const added = after.filter(t => !before.includes(t));
+      const removed = before.filter(t => !after.includes(t));
+
+      if(added.length || removed.length){
+        changes.push({ field: f, from: before, to: after, added, removed });
+      }
+      continue;
+    }
+
+    if((a ?? null) !== (b ?? null)){
+      changes.push({ field: f, from: a ?? null, to: b ?? null });
+    }
+  }
+
+  return changes;
+}
+
+module.exports = { REVISION_FIELDS, snapshotOf, recordRevision, recordBaseline, diffSnapshots };
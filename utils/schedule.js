@@ -0,0 +1,217 @@
+const Article = require("../models/Article");
+const { findAccount } = require("./accounts");
+const { transporter } = require("./mailer");
+const { escapeHtml } = require("./search");
+const { recordRevision, recordBaseline } = require("./revisions");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Owners of overdue articles are reminded again after this many days
+const REMIND_EVERY_DAYS = Number(process.env.REVIEW_REMINDER_DAYS) || 7;
+
+// Articles untouched for this long count as stale in the report
+const STALE_DAYS = Number(process.env.STALE_ARTICLE_DAYS) || 365;
+
+/* ===============================
+   VALIDATE SCHEDULE FIELDS
+   publishAt, expireAt, reviewBy, reviewInterval
+   and owner from a create/update body.
+   Returns { fields } or { error, status? }
+================================ */
+
+function dateField(v){
+  if(v === null || v === "") return { value: null };
+  const d = new Date(v);
+  return isNaN(d) ? { error: true } : { value: d };
+}
+
+async function scheduleFields(body, user, current = {}){
+
+  const fields = {};
+
+  for(const f of ["publishAt", "expireAt", "reviewBy"]){
+    if(body[f] === undefined) continue;
+
+    const { value, error } = dateField(body[f]);
+    if(error) return { error: `${f} must be a date` };
+    fields[f] = value;
+  }
+
+  const publishAt = fields.publishAt !== undefined ? fields.publishAt : current.publishAt;
+  const expireAt = fields.expireAt !== undefined ? fields.expireAt : current.expireAt;
+
+  if(publishAt && expireAt && expireAt <= publishAt){
+    return { error: "expireAt must be after publishAt" };
+  }
+
+  if(body.reviewInterval !== undefined){
+    const days = body.reviewInterval === null ? null : Number(body.reviewInterval);
+
+    if(days !== null && (!Number.isInteger(days) || days < 1)){
+      return { error: "reviewInterval must be a number of days" };
+    }
+    fields.reviewInterval = days;
+  }
+
+  if(body.owner !== undefined && body.owner !== null){
+    const account = await findAccount(body.owner);
+
+    if(!account){
+      return { error: "Owner not found" };
+    }
+
+    // Owners can edit, so department admins only pick their own people
+    // (same rule as /owners/reassign)
+    if(user.role === "admin" && account.department !== user.department){
+      return { error: "Owner must be in your department", status: 403 };
+    }
+
+    fields.owner = body.owner;
+  }
+
+  // A new review date starts the reminders over
+  if(fields.reviewBy !== undefined) fields.reviewReminderAt = null;
+
+  return { fields };
+}
+
+/* ===============================
+   MARK REVIEWED
+   next reviewBy comes from the body,
+   else from reviewInterval
+================================ */
+
+function markReviewed(article, nextReviewBy){
+
+  const now = new Date();
+
+  article.lastReviewedAt = now;
+  article.reviewReminderAt = null;
+  article.reviewBy = nextReviewBy !== undefined
+    ? nextReviewBy
+    : article.reviewInterval
+      ? new Date(now.getTime() + article.reviewInterval * DAY)
+      : null;
+}
+
+/* ===============================
+   ARCHIVE EXPIRED ARTICLES
+================================ */
+
+async function archiveExpired(){
+
+  const expired = await Article.find({
+    status: "published",
+    deletedAt: null,
+    expireAt: { $ne: null, $lte: new Date() }
+  });
+
+  for(const article of expired){
+    await recordBaseline(article);
+    article.status = "archived";
+    await article.save();
+    await recordRevision(article, null, "update");
+  }
+
+  return expired.length;
+}
+
+/* ===============================
+   EMAIL OWNERS OF OVERDUE REVIEWS
+   one message per owner. Each article is
+   claimed (reviewReminderAt set) before
+   mailing, so schedulers on several
+   instances don't send the same reminder
+================================ */
+
+async function sendReviewReminders(){
+
+  const now = new Date();
+
+  const dueFilter = {
+    deletedAt: null,
+    status: { $ne: "archived" },
+    owner: { $ne: null },
+    reviewBy: { $lte: now },
+    $or: [
+      { reviewReminderAt: null },
+      { reviewReminderAt: { $lte: new Date(now.getTime() - REMIND_EVERY_DAYS * DAY) } }
+    ]
+  };
+
+  const candidates = await Article.find(dueFilter)
+    .select("_id")
+    .sort({ reviewBy: 1 })
+    .lean();
+
+  const due = [];
+
+  for(const c of candidates){
+    const claimed = await Article.findOneAndUpdate(
+      { _id: c._id, ...dueFilter },
+      { $set: { reviewReminderAt: now } },
+      { new: true, timestamps: false }
+    )
+      .select("articleNumber title reviewBy owner")
+      .lean();
+
+    if(claimed) due.push(claimed);
+  }
+
+  const byOwner = new Map();
+
+  for(const a of due){
+    const key = String(a.owner);
+    if(!byOwner.has(key)) byOwner.set(key, []);
+    byOwner.get(key).push(a);
+  }
+
+  let sent = 0;
+
+  for(const [ownerId, articles] of byOwner){
+
+    const owner = await findAccount(ownerId);
+    if(!owner || !owner.email) continue;
+
+    const rows = articles.map(a =>
+      `<li>${escapeHtml(a.articleNumber)} - ${escapeHtml(a.title || "")}` +
+      ` (due ${a.reviewBy.toISOString().slice(0, 10)})</li>`
+    ).join("");
+
+    try {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: owner.email,
+        subject: `Knowledge Hub: ${articles.length} article(s) due for review`,
+        html: `
+          <h3>Articles due for review</h3>
+          <p>The following articles you own have passed their review date:</p>
+          <ul>${rows}</ul>
+        `
+      });
+    } catch (err) {
+      console.error(`Review reminder to ${owner.email} failed:`, err.message);
+
+      // Release the claim so the next run tries again
+      await Article.updateMany(
+        { _id: { $in: articles.map(a => a._id) }, reviewReminderAt: now },
+        { $set: { reviewReminderAt: null } },
+        { timestamps: false }
+      );
+      continue;
+    }
+
+    sent++;
+  }
+
+  return sent;
+}
+
+module.exports = {
+  DAY,
+  STALE_DAYS,
+  scheduleFields,
+  markReviewed,
+  archiveExpired,
+  sendReviewReminders
+};
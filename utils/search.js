@@ -0,0 +1,233 @@
+const Article = require("../models/Article");
+const Synonym = require("../models/Synonym");
+const { liveFilter } = require("./access");
+
+/* ===============================
+   SEARCH HELPERS
+================================ */
+
+const MAX_QUERY_LENGTH = 200;
+
+function escapeRegex(s){
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function escapeHtml(s){
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Query params can arrive as arrays or objects (?q[$ne]=x),
+// so everything user supplied goes through here first
+function cleanQuery(q){
+  if(Array.isArray(q)) q = q[0];
+  if(typeof q !== "string") return "";
+  return q.replace(/\s+/g, " ").trim().slice(0, MAX_QUERY_LENGTH);
+}
+
+function dateParam(v){
+  if(typeof v !== "string" || !v) return null;
+  const d = new Date(v);
+  return isNaN(d) ? null : d;
+}
+
+function queryTerms(q){
+  return String(q || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .map(t => t.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""))
+    .filter(t => t.length > 1);
+}
+
+// Short window of text around the first matched term, with every
+// term wrapped in <mark>. Falls back to the start of the text.
+function makeSnippet(text, terms, radius = 80){
+
+  const t = String(text || "").replace(/\s+/g, " ").trim();
+  if(!t) return "";
+
+  let start = 0;
+  let end = Math.min(t.length, radius * 2);
+
+  if(terms.length){
+    const re = new RegExp(terms.map(escapeRegex).join("|"), "i");
+    const m = re.exec(t);
+
+    if(m){
+      start = Math.max(0, m.index - radius);
+      end = Math.min(t.length, m.index + m[0].length + radius);
+    }
+  }
+
+  const raw = t.slice(start, end);
+  let snippet = "";
+
+  // Matches are found in the raw text and every piece escaped on its
+  // own, so a term like "amp" can't land inside an entity
+  if(terms.length){
+    const re = new RegExp(terms.map(escapeRegex).join("|"), "gi");
+    let last = 0;
+
+    for(const m of raw.matchAll(re)){
+      snippet += escapeHtml(raw.slice(last, m.index)) + "<mark>" + escapeHtml(m[0]) + "</mark>";
+      last = m.index + m[0].length;
+    }
+
+    snippet += escapeHtml(raw.slice(last));
+  } else {
+    snippet = escapeHtml(raw);
+  }
+
+  return (start > 0 ? "..." : "") + snippet + (end < t.length ? "..." : "");
+}
+
+/* ===============================
+   TYPO TOLERANCE
+================================ */
+
+// Edit distance, giving up once it is known to exceed max
+function levenshtein(a, b, max){
+
+  if(Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for(let i = 1; i <= a.length; i++){
+    const cur = [i];
+    let best = i;
+
+    for(let j = 1; j <= b.length; j++){
+      cur[j] = Math.min(
+        prev[j] + 1,
+        cur[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if(cur[j] < best) best = cur[j];
+    }
+
+    if(best > max) return max + 1;
+    prev = cur;
+  }
+
+  return prev[b.length];
+}
+
+function allowedTypos(term){
+  if(term.length <= 3) return 0;
+  return term.length <= 6 ? 1 : 2;
+}
+
+// Words used in the titles, summaries and tags of live published
+// articles the caller's department can read, so corrections never
+// reveal drafts or other departments' articles. One cached set per
+// department, rebuilt at most every few minutes.
+const VOCAB_TTL = 5 * 60 * 1000;
+const vocabs = new Map();
+
+async function getVocabulary(user){
+
+  const key = user.role === "superadmin" ? "*" : (user.department || "");
+  const cached = vocabs.get(key);
+
+  if(cached && Date.now() - cached.builtAt < VOCAB_TTL) return cached.words;
+
+  const filter = { deletedAt: null, status: "published", ...liveFilter() };
+
+  if(key !== "*"){
+    filter.$or = [{ orgWide: { $ne: false } }];
+    if(key) filter.$or.push({ departments: key });
+  }
+
+  const docs = await Article.find(filter)
+    .select("title summary tags")
+    .lean();
+
+  const words = new Set();
+
+  for(const d of docs){
+    const text = [d.title, d.summary, ...(d.tags || [])].join(" ");
+    for(const w of queryTerms(text)) words.add(w);
+  }
+
+  vocabs.set(key, { words, builtAt: Date.now() });
+  return words;
+}
+
+// Closest known words for a term the KB has never seen
+function corrections(term, words){
+
+  const max = allowedTypos(term);
+  if(!max || words.has(term)) return [];
+
+  const found = [];
+
+  for(const w of words){
+    const d = levenshtein(term, w, max);
+    if(d <= max) found.push({ w, d });
+  }
+
+  return found
+    .sort((a, b) => a.d - b.d)
+    .slice(0, 3)
+    .map(f => f.w);
+}
+
+/* ===============================
+   QUERY EXPANSION
+================================ */
+
+// Original terms plus typo corrections (from what user may read)
+// and dictionary synonyms.
+// Synonyms work both ways: "pto" finds "leave" and "leave" finds "pto".
+async function expandQuery(q, user){
+
+  const terms = queryTerms(q);
+  if(!terms.length) return { terms, expanded: [], corrected: {}, synonyms: {} };
+
+  const words = await getVocabulary(user);
+
+  const corrected = {};
+  const all = new Set(terms);
+
+  for(const t of terms){
+    const fixes = corrections(t, words);
+    if(fixes.length){
+      corrected[t] = fixes;
+      fixes.forEach(f => all.add(f));
+    }
+  }
+
+  const base = [...all];
+  const entries = await Synonym.find({
+    $or: [{ term: { $in: base } }, { synonyms: { $in: base } }]
+  }).lean();
+
+  const synonyms = {};
+
+  for(const e of entries){
+    const group = [e.term, ...e.synonyms];
+    for(const t of base){
+      if(!group.includes(t)) continue;
+      const extra = group.filter(g => g !== t);
+      synonyms[t] = [...new Set([...(synonyms[t] || []), ...extra])];
+      extra.forEach(g => all.add(g));
+    }
+  }
+
+  return { terms, expanded: [...all], corrected, synonyms };
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  escapeRegex,
+  escapeHtml,
+  cleanQuery,
+  dateParam,
+  queryTerms,
+  makeSnippet,
+  levenshtein,
+  expandQuery
+};
@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const Session = require("../models/Session");
+const { ACCESS_TOKEN_TTL, signToken } = require("./tokens");
+
+const HOUR = 60 * 60 * 1000;
+
+// How long a login lasts before signing in again, by role
+const SESSION_TTL = {
+  user: 7 * 24 * HOUR,
+  admin: 8 * HOUR,
+  superadmin: 24 * HOUR
+};
+
+function hashSecret(secret){
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+// Accounts live in two collections
+function accountModel(type){
+  return mongoose.model(type === "Admin" ? "Admin" : "User");
+}
+
+function isActive(account){
+  return account && account.active !== false;
+}
+
+/* ===============================
+   ISSUE TOKENS
+   refresh token is "<sessionId>.<secret>",
+   only the secret's hash is stored
+================================ */
+
+function newSecret(){
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function tokensFor(session, account, secret){
+  return {
+    token: signToken(account, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionExpiresAt: session.expiresAt
+  };
+}
+
+async function startSession(account, accountType, req){
+
+  const secret = newSecret();
+
+  const session = await Session.create({
+    account: account._id,
+    accountType,
+    tokenHash: hashSecret(secret),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + (SESSION_TTL[account.role] || 8 * HOUR))
+  });
+
+  return tokensFor(session, account, secret);
+}
+
+/* ===============================
+   ROTATE REFRESH TOKEN
+   returns tokens or { error }. A secret that
+   was already rotated means the token leaked,
+   so the whole session is revoked. Rotation
+   only succeeds for the caller whose secret
+   is still current, so of two refreshes at
+   once one simply loses
+================================ */
+
+async function refreshSession(refreshToken){
+
+  const [id, secret] = typeof refreshToken === "string" ? refreshToken.split(".") : [];
+
+  if(!secret || !mongoose.isValidObjectId(id)){
+    return { error: "Invalid refresh token" };
+  }
+
+  const session = await Session.findById(id);
+
+  if(!session || session.revokedAt || session.expiresAt <= new Date()){
+    return { error: "Session expired" };
+  }
+
+  if(session.tokenHash !== hashSecret(secret)){
+    session.revokedAt = new Date();
+    session.revokedReason = "token_reuse";
+    await session.save();
+    return { error: "Refresh token already used, please sign in again" };
+  }
+
+  // Role and department are re-read so changes apply on refresh
+  const account = await accountModel(session.accountType).findById(session.account);
+
+  if(!isActive(account)){
+    session.revokedAt = new Date();
+    session.revokedReason = "deactivated";
+    await session.save();
+    return { error: "Account is deactivated" };
+  }
+
+  const next = newSecret();
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+    { $set: { tokenHash: hashSecret(next), lastUsedAt: new Date() } },
+    { new: true }
+  );
+
+  if(!rotated){
+    return { error: "Refresh token already used, please sign in again" };
+  }
+
+  return tokensFor(rotated, account, next);
+}
+
+async function sessionActive(sid){
+  if(!mongoose.isValidObjectId(sid)) return false;
+  return Boolean(await Session.exists({
+    _id: sid,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }));
+}
+
+async function revokeSession(sid, account, reason){
+  if(!mongoose.isValidObjectId(sid)) return false;
+  const result = await Session.updateOne(
+    { _id: sid, account, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+function activeSessions(account){
+  return Session.find({ account, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+module.exports = {
+  isActive,
+  startSession,
+  refreshSession,
+  sessionActive,
+  revokeSession,
+  activeSessions
+};
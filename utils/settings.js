@@ -0,0 +1,27 @@
+const Setting = require("../models/Setting");
+
+// Unset keys fall back to these
+const DEFAULTS = {
+  twoFactorRequired: false
+};
+
+async function getSetting(key){
+  const setting = await Setting.findOne({ key }).lean();
+  return setting ? setting.value : DEFAULTS[key];
+}
+
+async function setSetting(key, value, user){
+  await Setting.updateOne(
+    { key },
+    { $set: { value, updatedBy: user ? user.id : null } },
+    { upsert: true }
+  );
+  return value;
+}
+
+async function allSettings(){
+  const saved = await Setting.find().lean();
+  return saved.reduce((all, s) => ({ ...all, [s.key]: s.value }), { ...DEFAULTS });
+}
+
+module.exports = { getSetting, setSetting, allSettings };
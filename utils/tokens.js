@@ -0,0 +1,63 @@
+const jwt = require("jsonwebtoken");
+
+/* ===============================
+   ACCESS TOKENS
+   short lived, tied to a session
+   (utils/sessions.js) and checked
+   by middleware/auth.js
+================================ */
+
+// No default: a public fallback would let anyone mint tokens for any role
+const JWT_SECRET = process.env.JWT_SECRET;
+
+if(!JWT_SECRET){
+  throw new Error("JWT_SECRET must be set");
+}
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+function signToken(account, sessionId){
+  return jwt.sign(
+    {
+      id: account._id,
+      role: account.role,
+      department: account.department || undefined,
+      sid: sessionId
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Returns { id, role, department, sid }; throws when invalid or expired
+function verifyToken(token){
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if(decoded.purpose) throw new Error("Not an access token");
+  return {
+    id: decoded.id,
+    role: decoded.role,
+    department: decoded.department,
+    sid: decoded.sid
+  };
+}
+
+/* ===============================
+   LOGIN CHALLENGE
+   proves the password was right while
+   the second factor is still missing
+================================ */
+
+const CHALLENGE_TTL = "5m";
+
+function signChallenge(account){
+  return jwt.sign({ id: account._id, purpose: "2fa" }, JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+}
+
+// Returns the account id; throws when invalid or expired
+function verifyChallenge(token){
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if(decoded.purpose !== "2fa") throw new Error("Not a login challenge");
+  return decoded.id;
+}
+
+module.exports = { ACCESS_TOKEN_TTL, signToken, verifyToken, signChallenge, verifyChallenge };
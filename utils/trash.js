@@ -0,0 +1,48 @@
+const Article = require("../models/Article");
+const ArticleRevision = require("../models/ArticleRevision");
+const ArticleVote = require("../models/ArticleVote");
+const ArticleComment = require("../models/ArticleComment");
+const Attachment = require("../models/Attachment");
+
+// Days a trashed article is kept before it is purged for good
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/* ===============================
+   REMOVE ARTICLE FOR GOOD
+   (article + history + feedback + images)
+================================ */
+
+async function deleteArticleData(articleNumber){
+  await Article.deleteOne({ articleNumber });
+  await ArticleRevision.deleteMany({ articleNumber });
+  await ArticleVote.deleteMany({ articleNumber });
+  await ArticleComment.deleteMany({ articleNumber });
+  await Attachment.deleteMany({ articleNumber });
+}
+
+// Only articles already in the trash can be purged
+async function purgeArticle(articleNumber){
+  const trashed = await Article.exists({ articleNumber, deletedAt: { $ne: null } });
+  if(trashed) await deleteArticleData(articleNumber);
+}
+
+/* ===============================
+   PURGE EVERYTHING PAST RETENTION
+================================ */
+
+async function purgeExpiredTrash(days = RETENTION_DAYS){
+
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const expired = await Article.find({ deletedAt: { $ne: null, $lt: cutoff } })
+    .select("articleNumber")
+    .lean();
+
+  for(const a of expired){
+    await purgeArticle(a.articleNumber);
+  }
+
+  return expired.length;
+}
+
+module.exports = { RETENTION_DAYS, deleteArticleData, purgeArticle, purgeExpiredTrash };
@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+
+const Admin = require("../models/Admin");
+const { generateSecret, verifyTotp, otpauthUrl } = require("./totp");
+const { getSetting } = require("./settings");
+const { signChallenge, verifyChallenge } = require("./tokens");
+const { isLocked, recordFailure, recordSuccess } = require("./lockout");
+
+const RECOVERY_CODES = 10;
+
+// select:false fields needed to check or change the second factor
+const SECRET_FIELDS = [
+  "+twoFactor.secret",
+  "+twoFactor.pendingSecret",
+  "+twoFactor.recoveryCodes",
+  "+twoFactor.lastStep"
+].join(" ");
+
+function findWithSecrets(id){
+  return Admin.findById(id).select(SECRET_FIELDS);
+}
+
+function hashCode(code){
+  const clean = String(code).toLowerCase().replace(/[^a-z0-9]/g, "");
+  return crypto.createHash("sha256").update(clean).digest("hex");
+}
+
+// Shown once; only hashes are kept
+function newRecoveryCodes(){
+  const codes = Array.from({ length: RECOVERY_CODES }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashCode) };
+}
+
+/* ===============================
+   ENROLLMENT
+   a pending secret becomes active once
+   a code from the app confirms it
+================================ */
+
+async function beginSetup(admin){
+
+  const secret = generateSecret();
+
+  admin.twoFactor.pendingSecret = secret;
+  await admin.save();
+
+  return { secret, otpauthUrl: otpauthUrl(secret, admin.email) };
+}
+
+// Returns the recovery codes, or null when the code is wrong
+async function confirmSetup(admin, code){
+
+  const pending = admin.twoFactor.pendingSecret;
+  const step = pending ? verifyTotp(pending, code) : null;
+
+  if(step === null) return null;
+
+  const { codes, hashes } = newRecoveryCodes();
+
+  admin.set({
+    "twoFactor.enabled": true,
+    "twoFactor.secret": pending,
+    "twoFactor.pendingSecret": undefined,
+    "twoFactor.recoveryCodes": hashes,
+    "twoFactor.lastStep": step,
+    "twoFactor.enabledAt": new Date()
+  });
+  await admin.save();
+
+  return codes;
+}
+
+async function regenerateRecoveryCodes(admin){
+
+  const { codes, hashes } = newRecoveryCodes();
+
+  admin.twoFactor.recoveryCodes = hashes;
+  await admin.save();
+
+  return codes;
+}
+
+// Used by the owner (disable) and the superadmin (lost device)
+function clearTwoFactor(admin){
+  return Admin.updateOne(
+    { _id: admin._id },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.recoveryCodes": 1,
+        "twoFactor.lastStep": 1,
+        "twoFactor.enabledAt": 1
+      }
+    }
+  );
+}
+
+/* ===============================
+   CHECK A SECOND FACTOR
+   each authenticator code and each
+   recovery code works only once
+================================ */
+
+async function useCode(admin, code){
+
+  const step = verifyTotp(admin.twoFactor.secret, code);
+  if(step === null) return false;
+
+  const result = await Admin.updateOne(
+    {
+      _id: admin._id,
+      $or: [{ "twoFactor.lastStep": null }, { "twoFactor.lastStep": { $lt: step } }]
+    },
+    { $set: { "twoFactor.lastStep": step } }
+  );
+
+  return result.modifiedCount > 0;
+}
+
+async function useRecoveryCode(admin, code){
+
+  const hash = hashCode(code);
+
+  const result = await Admin.updateOne(
+    { _id: admin._id, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } }
+  );
+
+  return result.modifiedCount > 0;
+}
+
+async function verifySecondFactor(admin, { code, recoveryCode }){
+  if(recoveryCode) return useRecoveryCode(admin, recoveryCode);
+  return useCode(admin, code);
+}
+
+/* ===============================
+   LOGIN, STEP ONE
+   after the password matched: null when
+   no second step is needed, else the body
+   to answer with. Accounts that must use
+   2FA but never set it up enroll here
+================================ */
+
+async function loginChallenge(admin){
+
+  if(admin.twoFactor && admin.twoFactor.enabled){
+    return { twoFactor: "verify", challengeToken: signChallenge(admin) };
+  }
+
+  if(!await getSetting("twoFactorRequired")) return null;
+
+  const setup = await beginSetup(await findWithSecrets(admin._id));
+
+  return { twoFactor: "enroll", challengeToken: signChallenge(admin), ...setup };
+}
+
+/* ===============================
+   LOGIN, STEP TWO
+   { challengeToken, code | recoveryCode }
+   returns { admin, recoveryCodes?, recoveryCodesLeft? }
+   or { status, error }
+================================ */
+
+async function completeChallenge(body, roles){
+
+  let id;
+
+  try {
+    id = verifyChallenge(body.challengeToken);
+  } catch (err) {
+    return { status: 401, error: "Sign-in expired, please sign in again" };
+  }
+
+  const admin = await findWithSecrets(id);
+
+  if(!admin || !roles.includes(admin.role)){
+    return { status: 401, error: "Invalid credentials" };
+  }
+
+  if(isLocked(admin)){
+    return { status: 423, error: "Account locked, try again later", lockedUntil: admin.lockedUntil };
+  }
+
+  if(admin.active === false){
+    return { status: 403, error: "Account is deactivated" };
+  }
+
+  // Enrollment started by loginChallenge
+  if(!admin.twoFactor.enabled){
+
+    const codes = await confirmSetup(admin, body.code);
+
+    if(!codes){
+      await recordFailure(admin);
+      return { status: 401, error: "Invalid code" };
+    }
+
+    await recordSuccess(admin);
+    return { admin, recoveryCodes: codes };
+  }
+
+  if(!await verifySecondFactor(admin, body)){
+    await recordFailure(admin);
+    return { status: 401, error: "Invalid code" };
+  }
+
+  await recordSuccess(admin);
+
+  if(!body.recoveryCode) return { admin };
+
+  // Worth a warning when they run low
+  const left = (await findWithSecrets(admin._id)).twoFactor.recoveryCodes.length;
+  return { admin, recoveryCodesLeft: left };
+}
+
+module.exports = {
+  findWithSecrets,
+  beginSetup,
+  confirmSetup,
+  regenerateRecoveryCodes,
+  clearTwoFactor,
+  verifySecondFactor,
+  loginChallenge,
+  completeChallenge
+};
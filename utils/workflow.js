@@ -0,0 +1,40 @@
+// Article lifecycle: draft -> in_review -> published -> archived
+const STATUSES = ["draft", "in_review", "published", "archived"];
+
+// Allowed status moves, keyed by current status
+const TRANSITIONS = {
+  draft: ["in_review"],
+  in_review: ["draft", "published"],
+  published: ["draft", "archived"],
+  archived: ["draft"]
+};
+
+function canTransition(from, to){
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Review fields that go with a status move. Moving from in_review
+// back to draft is a rejection and keeps the reviewer's comment.
+function statusChanges(from, to, user, comment){
+
+  if(to === "in_review"){
+    return { submittedBy: user.id, submittedAt: new Date(), reviewComment: undefined };
+  }
+
+  if(to === "published"){
+    return {
+      reviewedBy: user.id,
+      reviewedAt: new Date(),
+      reviewComment: comment || "",
+      publishedAt: new Date()
+    };
+  }
+
+  if(to === "draft" && from === "in_review"){
+    return { reviewedBy: user.id, reviewedAt: new Date(), reviewComment: comment };
+  }
+
+  return {};
+}
+
+module.exports = { STATUSES, TRANSITIONS, canTransition, statusChanges };